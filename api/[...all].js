@@ -16,7 +16,7 @@ export default function handler(req, res) {
   // Basic CORS for OPTIONS at the edge (your app also sets CORS)
   if (req.method === 'OPTIONS') {
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
     res.setHeader(
       'Access-Control-Allow-Headers',
       'Content-Type, Authorization, xi-api-key, elevenlabs-signature, x-elevenlabs-signature, x-webhook-signature'
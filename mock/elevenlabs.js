@@ -0,0 +1,447 @@
+// mock/elevenlabs.js
+// A stand-in for the parts of the ElevenLabs API this app uses, so the whole system runs offline:
+//
+//   npm run mock                                   # listens on MOCK_ELEVENLABS_PORT (8790)
+//   ELEVENLABS_BASE=http://127.0.0.1:8790 ELEVENLABS_API_KEY=mock npm start
+//
+// (For `wrangler dev`, put the same ELEVENLABS_BASE in .dev.vars.) State lives in memory.
+// Any agent id works; agents are created with a default config on first use.
+//
+// Scripting and failure injection, over HTTP or through createMockElevenLabs():
+//   POST /__mock/rules     { method?, path, status?, body?, headers?, delay_ms?, drop?, times? }
+//       The next `times` (default 1) matching requests get `status`/`body` instead of the normal
+//       handler. `path` is exact, or a prefix when it ends in "*". `drop: true` destroys the
+//       socket without a response; `delay_ms` alone just slows the real handler down.
+//   POST /__mock/sessions  { reject_status?, responses?, first_message?, close_after_ms?,
+//                            close_after_replies?, close_code?, terminate?, times? }
+//       Script the next ConvAI WebSocket sessions: refuse the upgrade, answer with `responses`
+//       in order (then echo), or close/terminate (1006) mid-conversation.
+//   GET  /__mock/requests  recent requests (method, path, query, status)
+//   GET  /__mock/state     agents and knowledge base documents
+//   POST /__mock/reset     clear state, rules and the request log
+import http from 'node:http';
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import express from 'express';
+import multer from 'multer';
+import { WebSocketServer } from 'ws';
+import { validateAudio } from '../src/audio.js';
+
+const CONVAI_WS_PATH = '/v1/convai/conversation';
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0xc4]); // MPEG-1 Layer III, 128 kbps, 44.1 kHz, mono
+const MP3_FRAME_BYTES = 417;
+const MP3_FRAME_SEC = 1152 / 44100;
+const SPOKEN_CHARS_PER_SEC = 15;
+const USER_AUDIO_TURN_BYTES = 32000; // ~1s of 16 kHz 16-bit PCM per mock user turn
+const PING_INTERVAL_MS = 20000;
+const MAX_LOGGED_REQUESTS = 1000;
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(10).toString('hex')}`;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// PATCH semantics of the real agents API: objects merge, arrays and scalars replace
+function deepMerge(target, patch) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(patch || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+function defaultAgent(agentId) {
+  return {
+    agent_id: agentId,
+    name: `Mock agent ${agentId}`,
+    conversation_config: {
+      agent: {
+        first_message: 'Hello! This is the mock agent. How can I help?',
+        language: 'en',
+        prompt: { prompt: 'You are a helpful assistant.', llm: 'gemini-2.0-flash', temperature: 0.5, knowledge_base: [], tools: [] }
+      },
+      tts: { voice_id: 'mock-voice', model_id: 'eleven_flash_v2' }
+    },
+    platform_settings: {},
+    metadata: { created_at_unix_secs: Math.floor(Date.now() / 1000) }
+  };
+}
+
+/** Silent but well-formed MP3 frames, roughly as long as `text` would take to say. */
+export function silentMp3(text) {
+  const seconds = Math.max(0.5, String(text || '').length / SPOKEN_CHARS_PER_SEC);
+  const frames = Math.ceil(seconds / MP3_FRAME_SEC);
+  const frame = Buffer.alloc(MP3_FRAME_BYTES);
+  MP3_FRAME_HEADER.copy(frame);
+  return Buffer.concat(Array.from({ length: frames }, () => frame));
+}
+
+function silentPcm(text, outputFormat) {
+  const rate = Number(String(outputFormat).split('_')[1]) || 16000;
+  const seconds = Math.max(0.5, String(text || '').length / SPOKEN_CHARS_PER_SEC);
+  return Buffer.alloc(Math.round(seconds * rate) * 2);
+}
+
+// 8-bit G.711 μ-law; 0xFF is its zero level
+function silentUlaw(text, outputFormat) {
+  const rate = Number(String(outputFormat).split('_')[1]) || 8000;
+  const seconds = Math.max(0.5, String(text || '').length / SPOKEN_CHARS_PER_SEC);
+  return Buffer.alloc(Math.round(seconds * rate), 0xff);
+}
+
+function synthesize(text, outputFormat = 'mp3_44100_128') {
+  const format = String(outputFormat);
+  if (format.startsWith('pcm_')) return { audio: silentPcm(text, format), contentType: 'audio/pcm' };
+  if (format.startsWith('ulaw_')) return { audio: silentUlaw(text, format), contentType: 'audio/basic' };
+  return { audio: silentMp3(text), contentType: 'audio/mpeg' };
+}
+
+// STT response shaped like /v1/speech-to-text: words with timestamps spread over the clip
+function transcriptFor(buffer, { text, language_code, diarize }) {
+  const duration = validateAudio(buffer).info?.duration || 3;
+  const spoken = text || 'This is a mock transcript from the local ElevenLabs server.';
+  const tokens = spoken.split(/\s+/).filter(Boolean);
+  const step = duration / Math.max(tokens.length, 1);
+  const words = [];
+  tokens.forEach((token, i) => {
+    if (i > 0) words.push({ text: ' ', type: 'spacing', start: i * step, end: i * step, logprob: 0 });
+    words.push({
+      text: token,
+      type: 'word',
+      start: +(i * step).toFixed(3),
+      end: +((i + 0.9) * step).toFixed(3),
+      logprob: 0,
+      ...(diarize === 'true' ? { speaker_id: 'speaker_0' } : {})
+    });
+  });
+  return { language_code: language_code || 'en', language_probability: 1, text: spoken, words };
+}
+
+function matchesPath(pattern, pathname) {
+  return pattern.endsWith('*') ? pathname.startsWith(pattern.slice(0, -1)) : pathname === pattern;
+}
+
+// Takes one use of the first matching rule, dropping it once used up
+function takeRule(rules, predicate) {
+  const i = rules.findIndex(predicate);
+  if (i === -1) return null;
+  const rule = rules[i];
+  rule.times -= 1;
+  if (rule.times <= 0) rules.splice(i, 1);
+  return rule;
+}
+
+function normalizeRule(rule) {
+  const times = rule.times === undefined ? 1 : Number(rule.times);
+  return { ...rule, times: Number.isFinite(times) && times > 0 ? times : Infinity };
+}
+
+/**
+ * Create (and start) a mock. Returns
+ *   { url, wsUrl, server, state, addRule, addSession, requests, reset, close }
+ * Use `url` as ELEVENLABS_BASE.
+ */
+export async function createMockElevenLabs({ port = 0, host = '127.0.0.1', quiet = false } = {}) {
+  const log = quiet ? () => {} : (...args) => console.log(...args);
+  const state = { agents: new Map(), documents: new Map() };
+  const rules = [];
+  const sessionScripts = [];
+  const requests = [];
+  const logRequest = (entry) => {
+    requests.push(entry);
+    if (requests.length > MAX_LOGGED_REQUESTS) requests.shift();
+    return entry;
+  };
+
+  const agentFor = (agentId) => {
+    if (!state.agents.has(agentId)) state.agents.set(agentId, defaultAgent(agentId));
+    return state.agents.get(agentId);
+  };
+
+  const reset = () => {
+    state.agents.clear();
+    state.documents.clear();
+    rules.length = 0;
+    sessionScripts.length = 0;
+    requests.length = 0;
+  };
+  const addRule = (rule) => {
+    if (!rule?.path) throw new Error('rule needs a path');
+    rules.push(normalizeRule(rule));
+  };
+  const addSession = (script = {}) => sessionScripts.push(normalizeRule(script));
+
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 200 * 1024 * 1024 } });
+
+  // --- control API ---
+  app.use('/__mock', express.json());
+  app.post('/__mock/rules', (req, res) => {
+    try {
+      addRule(req.body);
+      res.json({ ok: true, rules: rules.length });
+    } catch (e) {
+      res.status(400).json({ error: String(e.message || e) });
+    }
+  });
+  app.post('/__mock/sessions', (req, res) => {
+    addSession(req.body);
+    res.json({ ok: true, sessions: sessionScripts.length });
+  });
+  app.get('/__mock/requests', (_req, res) => res.json({ requests }));
+  app.get('/__mock/state', (_req, res) => res.json({
+    agents: [...state.agents.values()],
+    documents: [...state.documents.values()]
+  }));
+  app.post('/__mock/reset', (_req, res) => {
+    reset();
+    res.json({ ok: true });
+  });
+
+  // --- request log, API key check, scripted responses and failures ---
+  app.use('/v1', async (req, res, next) => {
+    const entry = logRequest({ method: req.method, path: req.baseUrl + req.path, query: req.query, at: new Date().toISOString() });
+    res.on('finish', () => { entry.status = res.statusCode; });
+    res.set('request-id', newId('req'));
+
+    const rule = takeRule(rules, (r) => (!r.method || r.method.toUpperCase() === req.method) && matchesPath(r.path, entry.path));
+    if (rule) {
+      log('🎭 Mock rule:', req.method, entry.path, rule.drop ? 'drop' : rule.status || '(delay)');
+      if (rule.delay_ms) await sleep(rule.delay_ms);
+      if (rule.drop) return req.socket.destroy();
+      if (rule.status || rule.body !== undefined) {
+        res.set(rule.headers || {});
+        const status = rule.status || 200;
+        return typeof rule.body === 'string' ? res.status(status).send(rule.body) : res.status(status).json(rule.body ?? {});
+      }
+    }
+    if (!req.headers['xi-api-key']) {
+      return res.status(401).json({ detail: { status: 'invalid_api_key', message: 'Missing xi-api-key header' } });
+    }
+    next();
+  });
+
+  // --- ConvAI agents ---
+  app.get('/v1/convai/agents/:agentId', (req, res) => res.json(agentFor(req.params.agentId)));
+  app.patch('/v1/convai/agents/:agentId', express.json({ limit: '5mb' }), (req, res) => {
+    const agent = deepMerge(agentFor(req.params.agentId), req.body);
+    agent.agent_id = req.params.agentId;
+    state.agents.set(req.params.agentId, agent);
+    log('🛠️ Mock agent patched:', req.params.agentId);
+    res.json(agent);
+  });
+
+  // --- knowledge base ---
+  app.get('/v1/convai/knowledge-base', (req, res) => {
+    const pageSize = Math.min(Number(req.query.page_size) || 30, 100);
+    const documents = [...state.documents.values()]
+      .map(({ text, ...meta }) => meta)
+      .slice(0, pageSize);
+    res.json({ documents, has_more: state.documents.size > pageSize, next_cursor: null });
+  });
+  app.post('/v1/convai/knowledge-base/text', express.json({ limit: '50mb' }), (req, res) => {
+    const { text, name } = req.body || {};
+    if (typeof text !== 'string' || !text) return res.status(422).json({ detail: 'text is required' });
+    const doc = {
+      id: newId('doc'),
+      name: name || text.slice(0, 40),
+      type: 'text',
+      text,
+      metadata: { created_at_unix_secs: Math.floor(Date.now() / 1000), size_bytes: Buffer.byteLength(text) }
+    };
+    state.documents.set(doc.id, doc);
+    log('📚 Mock KB document created:', doc.id, doc.name);
+    res.json({ id: doc.id, name: doc.name });
+  });
+  app.get('/v1/convai/knowledge-base/:id/content', (req, res) => {
+    const doc = state.documents.get(req.params.id);
+    if (!doc) return res.status(404).json({ detail: 'Document not found' });
+    res.type('text/plain').send(doc.text);
+  });
+  app.get('/v1/convai/knowledge-base/:id', (req, res) => {
+    const doc = state.documents.get(req.params.id);
+    if (!doc) return res.status(404).json({ detail: 'Document not found' });
+    const { text, ...meta } = doc;
+    res.json(meta);
+  });
+  app.delete('/v1/convai/knowledge-base/:id', (req, res) => {
+    if (!state.documents.delete(req.params.id)) return res.status(404).json({ detail: 'Document not found' });
+    log('🗑️ Mock KB document deleted:', req.params.id);
+    res.json({});
+  });
+
+  // --- signed URLs (get-signed-url, plus the older get_signed_url spelling) ---
+  const signedUrl = (req, res) => {
+    if (!req.query.agent_id) return res.status(422).json({ detail: 'agent_id is required' });
+    const wsOrigin = `${req.protocol === 'https' ? 'wss' : 'ws'}://${req.headers.host}`;
+    const query = new URLSearchParams({ agent_id: req.query.agent_id, conversation_signature: newId('sig') });
+    res.json({ signed_url: `${wsOrigin}${CONVAI_WS_PATH}?${query}` });
+  };
+  app.get('/v1/convai/conversation/get_signed_url', signedUrl);
+  app.get('/v1/convai/conversation/get-signed-url', signedUrl);
+
+  // --- TTS ---
+  app.post('/v1/text-to-speech/:voiceId', express.json({ limit: '5mb' }), (req, res) => {
+    const { audio, contentType } = synthesize(req.body?.text, req.query.output_format);
+    res.type(contentType).send(audio);
+  });
+  app.post('/v1/text-to-speech/:voiceId/stream', express.json({ limit: '5mb' }), async (req, res) => {
+    const { audio, contentType } = synthesize(req.body?.text, req.query.output_format);
+    res.type(contentType);
+    // A few chunks with small gaps so clients see a real stream
+    const chunkBytes = Math.ceil(audio.length / 4);
+    for (let i = 0; i < audio.length; i += chunkBytes) {
+      if (res.destroyed) return;
+      res.write(audio.subarray(i, i + chunkBytes));
+      await sleep(20);
+    }
+    res.end();
+  });
+
+  // --- STT ---
+  app.post('/v1/speech-to-text', upload.any(), (req, res) => {
+    const file = (req.files || []).find((f) => f.fieldname === 'file');
+    if (!file) return res.status(422).json({ detail: 'file is required' });
+    if (!req.body.model_id) return res.status(422).json({ detail: 'model_id is required' });
+    res.json(transcriptFor(file.buffer, req.body));
+  });
+
+  app.use((req, res) => res.status(404).json({ detail: `Mock has no route for ${req.method} ${req.path}` }));
+
+  // --- ConvAI WebSocket ---
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== CONVAI_WS_PATH) return socket.destroy();
+    logRequest({ method: 'WS', path: url.pathname, query: Object.fromEntries(url.searchParams), at: new Date().toISOString() });
+
+    const script = takeRule(sessionScripts, () => true) || {};
+    const agentId = url.searchParams.get('agent_id');
+    const authorized = url.searchParams.has('conversation_signature') || url.searchParams.has('token') || req.headers['xi-api-key'];
+    const refuse = script.reject_status || (!agentId ? 404 : !authorized ? 403 : 0);
+    if (refuse) {
+      log('🚫 Mock ConvAI upgrade refused:', refuse);
+      socket.write(`HTTP/1.1 ${refuse} ${http.STATUS_CODES[refuse] || 'Error'}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\nmock refused upgrade`);
+      return socket.destroy();
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => runConversation(ws, agentFor(agentId), script));
+  });
+
+  function runConversation(ws, agent, script) {
+    const conversationId = newId('conv');
+    const responses = [...(script.responses || [])];
+    let started = false;
+    let replies = 0;
+    let audioBytes = 0;
+    let eventId = 0;
+    const timers = [];
+    log('🎙️ Mock conversation started:', conversationId, agent.agent_id);
+
+    const send = (msg) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(msg));
+    const endSession = () => {
+      const code = script.close_code || 1011;
+      log('💥 Mock conversation dropped:', conversationId, script.terminate ? 1006 : code);
+      if (script.terminate) ws.terminate();
+      else ws.close(code, 'mock failure');
+    };
+
+    const speak = (text) => {
+      eventId += 1;
+      send({ type: 'agent_response', agent_response_event: { agent_response: text } });
+      send({ type: 'audio', audio_event: { audio_base_64: silentPcm(text, 'pcm_16000').subarray(0, 3200).toString('base64'), event_id: eventId } });
+    };
+    const reply = (userText) => {
+      speak(responses.length ? responses.shift() : `You said: ${userText}`);
+      replies += 1;
+      if (script.close_after_replies && replies >= script.close_after_replies) endSession();
+    };
+
+    const start = (initiation) => {
+      if (started) return;
+      started = true;
+      const override = initiation?.conversation_config_override?.agent || {};
+      send({
+        type: 'conversation_initiation_metadata',
+        conversation_initiation_metadata_event: {
+          conversation_id: conversationId,
+          agent_output_audio_format: 'pcm_16000',
+          user_input_audio_format: 'pcm_16000'
+        }
+      });
+      const greeting = script.first_message ?? override.first_message ?? agent.conversation_config?.agent?.first_message;
+      if (greeting) speak(greeting);
+    };
+
+    // Real sessions wait for optional client data, then start regardless
+    timers.push(setTimeout(() => start(null), 300));
+    timers.push(setInterval(() => send({ type: 'ping', ping_event: { event_id: ++eventId, ping_ms: 0 } }), PING_INTERVAL_MS));
+    if (script.close_after_ms) timers.push(setTimeout(endSession, script.close_after_ms));
+
+    ws.on('message', (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString('utf8'));
+      } catch {
+        return;
+      }
+      if (msg.type === 'conversation_initiation_client_data') return start(msg);
+      start(null);
+      if (msg.type === 'user_message' && msg.text) {
+        send({ type: 'user_transcript', user_transcription_event: { user_transcript: msg.text } });
+        return reply(msg.text);
+      }
+      // Plain-chunk format ({ user_audio_chunk: "<base64>" }) as well as the typed one
+      const chunk = msg.user_audio_chunk?.audio_base_64 || msg.user_audio_chunk;
+      if (typeof chunk === 'string') {
+        audioBytes += Math.floor(chunk.length * 3 / 4);
+        if (audioBytes >= USER_AUDIO_TURN_BYTES) {
+          audioBytes = 0;
+          const heard = '(mock) audio received';
+          send({ type: 'user_transcript', user_transcription_event: { user_transcript: heard } });
+          reply(heard);
+        }
+      }
+      // pong, contextual_update, user_activity and tool results need no answer
+    });
+    ws.on('error', () => {});
+    ws.on('close', () => {
+      timers.forEach((t) => clearTimeout(t));
+      log('🔚 Mock conversation ended:', conversationId);
+    });
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const { port: boundPort } = server.address();
+  const url = `http://${host}:${boundPort}`;
+
+  return {
+    url,
+    wsUrl: url.replace(/^http/, 'ws'),
+    server,
+    state,
+    addRule,
+    addSession,
+    requests,
+    reset,
+    close: () => new Promise((resolve) => {
+      wss.clients.forEach((ws) => ws.terminate());
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    })
+  };
+}
+
+// `node mock/elevenlabs.js` (or `npm run mock`)
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const port = Number(process.env.MOCK_ELEVENLABS_PORT) || 8790;
+  const mock = await createMockElevenLabs({ port, host: process.env.MOCK_ELEVENLABS_HOST || '127.0.0.1' });
+  console.log(`🧪 Mock ElevenLabs on ${mock.url} (set ELEVENLABS_BASE=${mock.url})`);
+}
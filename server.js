@@ -1,44 +1,154 @@
 import 'dotenv/config';
+import http from 'node:http';
 import express from 'express';
 import cors from 'cors';
 import crypto from 'crypto';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { assembleKB, listProjects } from './src/projects.js';
+import {
+    assembleKB, listProjects, getProject, loadDocuments, contentHash,
+    listProjectFiles, addProjectDocument, removeProjectDocument
+} from './src/projects.js';
 import multer from 'multer';
+import { verifyWebhookSignature, devBypassEnabled } from './src/webhook.js';
+import { syncAgentKnowledgeBase, documentName } from './src/knowledge-base.js';
+import { getManifestStore, planManifestDiff } from './src/manifest.js';
+import { planKnowledgeBase, summarizePlan, estimateTokens, chunkingOptions } from './src/chunker.js';
+import { MEDIA_DIR, mediaUrl, checkMediaAccess } from './src/media.js';
+import { getJobQueue } from './src/jobs.js';
+import { validateAudio } from './src/audio.js';
+import { parseSttOptions, transcribe, normalizeSttResult, transcribeBatch, transcriptToMarkdown } from './src/stt.js';
+import { fetchRemoteFile } from './src/url-fetch.js';
+import { buildInitiationClientData } from './src/convai-init.js';
+import { sessionConfig, mintSessionToken, verifySessionToken, originAllowed, checkMintAccess } from './src/session-token.js';
+import { getSignedWsUrl } from './signer.js';
+import { checkRateLimit, rateLimitHeaders, limitSetting, acquireSlots } from './src/rate-limit.js';
+import { conversationStore } from './src/conversations.js';
+import { reconnectAttempts } from './src/convai-proxy.js';
+import { attachConvaiProxy } from './src/ws-proxy.js';
+import { elevenLabsEndpoint } from './src/elevenlabs-endpoint.js';
+import { createElevenLabsClient } from './src/elevenlabs-client.js';
+import {
+    parseAgentConfigPatch, agentConfigView, changedFields, mergeAgentConfig, rollbackConversationConfig,
+    makeSnapshot, addSnapshot, snapshotSummary, getAgentSnapshotStore
+} from './src/agent-config.js';
 
-import { pushToElevenLabs, makeRealtimeSessionPayload, ttsToFile } from './src/elevenlabs.js';
+import {
+    pushToElevenLabs, makeRealtimeSessionPayload, ttsToFile, chaptersFileFor,
+    streamTts, resolveStreamFormat
+} from './src/elevenlabs.js';
 
 const app = express();
 
+// Which proxies may set X-Forwarded-For, in Express's `trust proxy` terms: TRUST_PROXY=true,
+// a hop count ("1"), or addresses/subnets ("loopback, 10.0.0.0/8"). Vercel's edge is one hop.
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+    if (value === undefined || value === '') return process.env.VERCEL ? 1 : false;
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', trustProxySetting());
+
 // Enhanced CORS configuration for Vercel
 app.use(cors({
     origin: true, // Allow all origins
     credentials: true,
-    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'xi-api-key', 'elevenlabs-signature', 'x-elevenlabs-signature', 'x-webhook-signature']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'xi-api-key', 'elevenlabs-signature', 'x-elevenlabs-signature', 'x-webhook-signature'],
+    exposedHeaders: ['Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
 }));
 
 // Handle preflight requests
 app.options('*', cors());
 
+// Per client IP and per project, e.g. RATE_LIMIT_STT_PER_MIN / RATE_LIMIT_STT_PROJECT_PER_MIN.
+// Runs before body parsing on /stt, so a multipart request's project must be in the query string.
+// req.ip only honours X-Forwarded-For from proxies trusted by TRUST_PROXY.
+function clientIp(req) {
+    return req.ip || 'unknown';
+}
+
+// `cost(req)` charges more than one unit per request (e.g. per batch item); 0 skips the check
+function rateLimit(route, { cost = () => 1 } = {}) {
+    const name = route.toUpperCase();
+    return async (req, res, next) => {
+        let result;
+        try {
+            const units = cost(req);
+            if (units <= 0) return next();
+            const project = req.body?.project || req.query.project;
+            result = await checkRateLimit([
+                { key: `${route}:ip:${clientIp(req)}`, limit: limitSetting(process.env, `RATE_LIMIT_${name}_PER_MIN`) },
+                ...(project ? [{ key: `${route}:project:${project}`, limit: limitSetting(process.env, `RATE_LIMIT_${name}_PROJECT_PER_MIN`) }] : [])
+            ], { cost: units });
+        } catch (e) {
+            // A broken counter store shouldn't take the API down with it
+            console.error('⚠️ Rate limit check failed, allowing request:', e.message);
+            return next();
+        }
+        res.set(rateLimitHeaders(result));
+        if (!result.ok) {
+            console.log('🚦 Rate limited:', { route, key: result.key, retryAfter: result.retryAfterSec });
+            return res.status(429).json({ error: 'rate limit exceeded', retry_after: result.retryAfterSec });
+        }
+        next();
+    };
+}
+
+// Middleware requiring `Authorization: Bearer <process.env[envName]>`, compared in constant time.
+// Open while the variable is unset, unless `openEnv` is given: then the route stays closed until
+// the token is set or process.env[openEnv] is "1".
+function requireBearerToken(envName, { openEnv } = {}) {
+    return (req, res, next) => {
+        const token = process.env[envName];
+        if (!token) {
+            if (!openEnv || process.env[openEnv] === '1') return next();
+            return res.status(503).json({ error: `${envName} not configured` });
+        }
+        const given = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+        const a = Buffer.from(given);
+        const b = Buffer.from(token);
+        if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+            return res.status(401).json({ error: 'unauthorized' });
+        }
+        next();
+    };
+}
+
 const upload = multer({ 
     storage: multer.memoryStorage(),
     limits: { fileSize: 25 * 1024 * 1024 } // 25MB limit
 });
 
 // IMPORTANT: STT endpoint MUST come BEFORE app.use(express.json())
-app.post('/stt', upload.single('audio'), async (req, res) => {
+app.post('/stt', rateLimit('stt'), upload.single('audio'), async (req, res) => {
     try {
         if (!req.file) {
             return res.status(400).json({ error: 'No audio file provided' });
         }
 
+        const { options, errors } = parseSttOptions({ ...req.query, ...req.body });
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid STT options', details: errors });
+        }
+
+        // Check the bytes themselves: browsers label WebM recordings as anything from audio/webm to video/webm
+        const audio = validateAudio(req.file.buffer);
+        if (!audio.ok) {
+            console.log('🚫 STT audio rejected:', { originalName: req.file.originalname, reason: audio.error, ...audio.info });
+            return res.status(audio.status).json({ error: audio.error, audio: audio.info });
+        }
+
         console.log('🎤 STT request received:', {
             originalName: req.file.originalname,
             mimeType: req.file.mimetype,
+            detected: audio.info.format,
+            duration: audio.info.duration,
             size: req.file.size,
-            modelId: req.body.model_id || 'scribe_v1'
+            modelId: options.model_id,
+            language: options.language_code || 'auto',
+            diarize: options.diarize,
+            keyterms: options.keyterms.length
         });
 
         const apiKey = process.env.ELEVENLABS_API_KEY;
@@ -46,47 +156,29 @@ app.post('/stt', upload.single('audio'), async (req, res) => {
             return res.status(500).json({ error: 'ElevenLabs API key not configured' });
         }
 
-        // Prepare form data for ElevenLabs STT API
-        const formData = new FormData();
-        
-        // Create a blob from the buffer - ElevenLabs expects 'file' field name
-        const audioBlob = new Blob([req.file.buffer], { type: req.file.mimetype });
-        formData.append('file', audioBlob, req.file.originalname || 'recording.wav');
-        formData.append('model_id', req.body.model_id || 'scribe_v1');
-        
-        // Add additional parameters for better transcription
-        formData.append('language_code', 'en'); // Specify English for better accuracy
-        formData.append('timestamps_granularity', 'word');
-        formData.append('tag_audio_events', 'false'); // Disable event tagging for cleaner text
-
         console.log('📡 Sending to ElevenLabs STT API...');
 
-        // Call ElevenLabs Speech-to-Text API
-        const sttResponse = await fetch('https://api.elevenlabs.io/v1/speech-to-text', {
-            method: 'POST',
-            headers: {
-                'xi-api-key': apiKey,
-                // Note: Don't set Content-Type header, let fetch set it for FormData
-            },
-            body: formData
-        });
-
-        if (!sttResponse.ok) {
-            const errorText = await sttResponse.text();
+        let sttResult;
+        try {
+            sttResult = await transcribe({
+                apiKey,
+                buffer: req.file.buffer,
+                mimeType: audio.info.mimeType,
+                fileName: req.file.originalname,
+                options
+            });
+        } catch (apiError) {
+            if (!apiError.status) throw apiError;
             console.error('❌ ElevenLabs STT API error:', {
-                status: sttResponse.status,
-                statusText: sttResponse.statusText,
-                error: errorText
+                status: apiError.status,
+                error: apiError.details
             });
-            
-            return res.status(sttResponse.status).json({ 
-                error: `STT API failed: ${sttResponse.status} ${sttResponse.statusText}`,
-                details: errorText
+            return res.status(apiError.status).json({
+                error: apiError.message,
+                details: apiError.details
             });
         }
 
-        const sttResult = await sttResponse.json();
-        
         console.log('✅ STT successful:', {
             text: sttResult.text?.substring(0, 100) + (sttResult.text?.length > 100 ? '...' : ''),
             textLength: sttResult.text?.length || 0,
@@ -95,7 +187,7 @@ app.post('/stt', upload.single('audio'), async (req, res) => {
             hasWords: !!sttResult.words
         });
 
-        res.json(sttResult);
+        res.json(normalizeSttResult(sttResult));
 
     } catch (error) {
         console.error('❌ STT endpoint error:', {
@@ -112,9 +204,11 @@ app.post('/stt', upload.single('audio'), async (req, res) => {
 
 // Webhook handler for ConvAI knowledge base updates
 app.post('/convai-hook', (req, res, next) => {
-    let rawBody = '';
-    req.on('data', chunk => rawBody += chunk);
+    // Keep the bytes until the end: decoding chunk by chunk mangles a UTF-8 character split across two
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
     req.on('end', async () => {
+        const rawBody = Buffer.concat(chunks).toString('utf8');
         const sigHeader = req.headers['elevenlabs-signature'] || 
                          req.headers['x-elevenlabs-signature'] ||
                          req.headers['x-webhook-signature'];
@@ -128,7 +222,22 @@ app.post('/convai-hook', (req, res, next) => {
             headers: Object.keys(req.headers)
         });
 
-        // Parse the payload first
+        // Verify against the raw body before trusting anything in it
+        const verification = verifyWebhookSignature(sigHeader, rawBody);
+        if (!verification.ok) {
+            console.error('❌ Webhook signature rejected:', verification.reason);
+            return res.status(verification.status).json({
+                success: false,
+                error: 'Invalid webhook signature',
+                reason: verification.reason
+            });
+        }
+        if (verification.bypassed) {
+            console.log('⚠️ Webhook signature check bypassed (ELEVENLABS_WEBHOOK_DEV_BYPASS=1)');
+        } else {
+            console.log('🔐 Webhook signature verified');
+        }
+
         let payload;
         try {
             payload = JSON.parse(rawBody || '{}');
@@ -143,29 +252,29 @@ app.post('/convai-hook', (req, res, next) => {
             return res.status(400).send('Invalid JSON payload');
         }
 
-        // Skip signature verification in development but log it
-        if (!sigHeader) {
-            console.log('⚠️ No signature header found - proceeding in development mode');
-        } else {
-            console.log('🔐 Signature header present:', sigHeader.substring(0, 20) + '...');
-        }
-
         // Process the knowledge base update
-        if (payload.title && payload.knowledge_base) {
+        if (payload.title && (payload.knowledge_base || Array.isArray(payload.documents))) {
             try {
                 console.log('🚀 Starting knowledge base update process...');
                 console.log('📋 KB Update Details:', {
-                    agentId: process.env.ELEVENLABS_AGENT_ID?.substring(0, 12) + '...',
+                    agentId: (payload.agent_id || process.env.ELEVENLABS_AGENT_ID)?.substring(0, 12) + '...',
                     title: payload.title,
-                    contentLength: payload.knowledge_base.length,
-                    contentPreview: payload.knowledge_base.substring(0, 150) + '...'
+                    strategy: payload.strategy || 'sync',
+                    documents: payload.documents?.length,
+                    contentLength: payload.knowledge_base?.length,
+                    contentPreview: payload.knowledge_base?.substring(0, 150) + '...'
                 });
                 
                 const updateResult = await updateConvAIKnowledgeBase({
                     apiKey: process.env.ELEVENLABS_API_KEY,
-                    agentId: process.env.ELEVENLABS_AGENT_ID,
+                    // Signed payloads may target a project-specific agent
+                    agentId: payload.agent_id || process.env.ELEVENLABS_AGENT_ID,
+                    project: payload.project,
                     title: payload.title,
-                    content: payload.knowledge_base
+                    content: payload.knowledge_base,
+                    documents: payload.documents,
+                    chunking: payload.kb_options,
+                    strategy: payload.strategy
                 });
                 
                 console.log('✅ Knowledge base update completed:', updateResult);
@@ -191,7 +300,7 @@ app.post('/convai-hook', (req, res, next) => {
             console.log('⚠️ Webhook payload missing required fields');
             res.status(400).json({
                 success: false,
-                error: 'Missing title or knowledge_base in payload'
+                error: 'Missing title or knowledge_base/documents in payload'
             });
         }
     });
@@ -200,44 +309,218 @@ app.post('/convai-hook', (req, res, next) => {
 // ✅ JSON parser AFTER webhook route and STT route
 app.use(express.json({ limit: '5mb' }));
 
+// project.json overrides win over the global env configuration
+function projectSettings(project = {}) {
+    return {
+        agentId: project.agentId || process.env.ELEVENLABS_AGENT_ID || '',
+        voiceId: project.voiceId || process.env.ELEVENLABS_VOICE_ID || '',
+        ttsModelId: project.tts?.modelId || undefined,
+        voiceSettings: project.tts?.voiceSettings || undefined
+    };
+}
+
+const STT_BATCH_MAX_ITEMS = 20;
+const STT_URL_MAX_BYTES = 25 * 1024 * 1024;
+// Uploads are held in memory, so a batch is capped as a whole, not just per file
+const STT_BATCH_MAX_BYTES = 100 * 1024 * 1024;
+
+const batchUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024, files: STT_BATCH_MAX_ITEMS }
+}).array('files', STT_BATCH_MAX_ITEMS);
+
+// Checks the declared size before reading anything; Node stops the body at Content-Length,
+// so the declared size is also the most that gets buffered
+function sttBatchUpload(req, res, next) {
+    if (req.is('multipart/form-data')) {
+        const length = Number(req.headers['content-length']);
+        if (!length) return res.status(411).json({ error: 'Content-Length required for batch uploads' });
+        if (length > STT_BATCH_MAX_BYTES) {
+            return res.status(413).json({ error: `Batch uploads are limited to ${STT_BATCH_MAX_BYTES / 1024 / 1024} MB in total` });
+        }
+    }
+    batchUpload(req, res, (err) => {
+        if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large (25 MB per file)', file: err.field });
+        if (err?.code === 'LIMIT_FILE_COUNT' || err?.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({ error: `At most ${STT_BATCH_MAX_ITEMS} files in the "files" field` });
+        }
+        next(err);
+    });
+}
+
+function parseUrlList(v) {
+    if (!v) return [];
+    if (Array.isArray(v)) return v.map(String);
+    const str = String(v).trim();
+    if (str.startsWith('[')) {
+        try { return JSON.parse(str).map(String); } catch {}
+    }
+    return str.split(/[\s,]+/).filter(Boolean);
+}
+
+const sttBatchBody = req => ({ ...req.query, ...req.body });
+const sttBatchItems = req => (req.files?.length || 0) + parseUrlList(sttBatchBody(req).urls).length;
+const sttBatchStore = body => body.store === true || body.store === 'true' || body.store === '1';
+
+// Each batch item counts against the STT limits: rateLimit('stt') charges the first before the
+// upload is read (a client that's already limited doesn't get to upload), this the rest
+const sttBatchRateLimit = rateLimit('stt', { cost: req => sttBatchItems(req) - 1 });
+
+// Storing transcripts writes project documents, so it takes the documents token
+function requireStoreToken(req, res, next) {
+    return sttBatchStore(sttBatchBody(req)) ? requireDocumentsToken(req, res, next) : next();
+}
+
+function transcriptFileName(name) {
+    const base = path.basename(name, path.extname(name)).replace(/[^\w.-]+/g, '_').replace(/^\.+/, '') || 'audio';
+    return `transcript-${base}.md`;
+}
+
+// Bulk transcription: multipart `files` and/or `urls` (JSON array or comma/newline separated).
+// Sits after express.json() so URL-only batches can be posted as JSON.
+app.post('/stt/batch', rateLimit('stt'), sttBatchUpload, sttBatchRateLimit, requireStoreToken, async (req, res) => {
+    try {
+        const body = sttBatchBody(req);
+        const { options, errors } = parseSttOptions(body);
+        if (errors.length) {
+            return res.status(400).json({ error: 'Invalid STT options', details: errors });
+        }
+
+        const apiKey = process.env.ELEVENLABS_API_KEY;
+        if (!apiKey) {
+            return res.status(500).json({ error: 'ElevenLabs API key not configured' });
+        }
+
+        const files = req.files || [];
+        const urls = parseUrlList(body.urls);
+        if (!files.length && !urls.length) {
+            return res.status(400).json({ error: 'No audio files or urls provided' });
+        }
+        if (files.length + urls.length > STT_BATCH_MAX_ITEMS) {
+            return res.status(400).json({ error: `At most ${STT_BATCH_MAX_ITEMS} items per batch` });
+        }
+
+        const store = sttBatchStore(body);
+        if (store && !body.project) {
+            return res.status(400).json({ error: 'project required when store is set' });
+        }
+
+        const items = [
+            ...files.map(f => ({
+                source: `upload:${f.originalname}`,
+                fileName: f.originalname,
+                load: async () => ({ buffer: f.buffer, fileName: f.originalname })
+            })),
+            ...urls.map(url => ({
+                source: url,
+                fileName: url,
+                load: async () => {
+                    const r = await fetchRemoteFile(url, { maxBytes: STT_URL_MAX_BYTES, timeoutMs: 30000 });
+                    return { buffer: r.buffer, fileName: r.fileName };
+                }
+            }))
+        ];
+
+        console.log('🎤 STT batch received:', { files: files.length, urls: urls.length, store, project: body.project });
+
+        const results = await transcribeBatch({
+            apiKey,
+            items,
+            options,
+            concurrency: Number(process.env.STT_BATCH_CONCURRENCY) || 3
+        });
+
+        if (store) {
+            for (const r of results.filter(r => r.ok)) {
+                try {
+                    const doc = transcriptFileName(r.name);
+                    await addProjectDocument(body.project, doc, Buffer.from(transcriptToMarkdown(r)));
+                    r.stored = doc;
+                } catch (e) {
+                    r.storeError = String(e.message || e);
+                }
+            }
+        }
+
+        const failed = results.filter(r => !r.ok).length;
+        console.log('✅ STT batch done:', { total: results.length, failed });
+        res.status(failed === results.length ? 502 : 200).json({ total: results.length, failed, results });
+    } catch (error) {
+        console.error('❌ STT batch error:', error);
+        res.status(500).json({ error: 'Internal server error during batch transcription', message: error.message });
+    }
+});
+
 function baseUrl(req) {
     return process.env.PUBLIC_BASE_URL || `${req.headers['x-forwarded-proto'] || 'https'}://${req.headers.host}`;
 }
 
-// Helper function for ConvAI knowledge base updates (keeping your existing function)
-async function updateConvAIKnowledgeBase({ apiKey, agentId, title, content }) {
-    const base = process.env.ELEVENLABS_BASE || 'api.elevenlabs.io';
+// The documents the hook will attach for a push, chunked and named the way the agent will see them.
+// `namespace` is the project key (or the title for payloads that don't carry one).
+function desiredKBDocuments({ namespace, content, documents, chunking }) {
+    const source = Array.isArray(documents) && documents.length
+        ? documents
+        : [{ name: '', text: content }];
+    const plan = planKnowledgeBase(source, chunking);
+    return plan.documents.map(d => ({
+        name: documentName(namespace, d.name),
+        text: d.text,
+        hash: contentHash(d.text),
+        usageMode: d.usage_mode
+    }));
+}
+
+// Helper function for ConvAI knowledge base updates.
+// strategy 'sync' (default) only touches this project's documents; 'replace' swaps out the whole KB.
+async function updateConvAIKnowledgeBase({ apiKey, agentId, project, title, content, documents, chunking, strategy = 'sync' }) {
+    if (strategy === 'sync') {
+        const namespace = project || title;
+        const desired = desiredKBDocuments({ namespace, content, documents, chunking });
+        const manifests = getManifestStore();
+        const manifest = await manifests.get(namespace);
+        const result = await syncAgentKnowledgeBase({
+            apiKey,
+            agentId,
+            namespace,
+            documents: desired,
+            manifest,
+            // Documents pushed before KB names used the project key were named by title;
+            // adopt them on the first keyed push so they are replaced rather than orphaned
+            legacyNamespaces: !manifest && project && title && title !== project ? [title] : []
+        });
+        await manifests.set(namespace, { agent_id: agentId, title, updated_at: new Date().toISOString(), documents: result.documents });
+        return result;
+    }
+    if (strategy !== 'replace') {
+        throw new Error(`Unknown KB update strategy: ${strategy}`);
+    }
+    if (!content && Array.isArray(documents)) {
+        content = documents.map(d => d.text).join('\n\n');
+    }
+
+    const elevenlabs = createElevenLabsClient({ apiKey, env: process.env });
     
     console.log('🔄 Updating ConvAI agent knowledge base:', {
         agentId: agentId?.substring(0, 12) + '...',
         title,
         contentLength: content?.length,
-        baseUrl: base
+        baseUrl: elevenlabs.endpoint.http
     });
     
     try {
         // Step 1: Get existing knowledge base documents for this agent
         console.log('📋 Fetching existing knowledge base documents...');
-        const listResponse = await fetch(`https://${base}/v1/convai/knowledge-base?agent_id=${agentId}&page_size=100`, {
-            method: 'GET',
-            headers: {
-                'xi-api-key': apiKey,
-                'Content-Type': 'application/json',
-            }
-        });
-        
         let existingDocuments = [];
-        if (listResponse.ok) {
-            const listData = await listResponse.json();
+        try {
+            const listData = await elevenlabs.listKnowledgeBase({ agentId, pageSize: 100 });
             existingDocuments = listData.documents || [];
             console.log('📋 Found existing KB documents:', existingDocuments.length);
             
             existingDocuments.forEach((doc, i) => {
                 console.log(`  ${i + 1}. ${doc.name} (ID: ${doc.id}, Type: ${doc.type})`);
             });
-        } else {
-            const errorText = await listResponse.text();
-            console.log('⚠️ Could not fetch existing KB documents:', listResponse.status, errorText);
+        } catch (listErr) {
+            console.log('⚠️ Could not fetch existing KB documents:', listErr.status, listErr.details || listErr.message);
         }
 
         // Step 2: Check if we have a document with the same title and delete it
@@ -246,51 +529,26 @@ async function updateConvAIKnowledgeBase({ apiKey, agentId, title, content }) {
         if (existingDoc) {
             console.log('🔄 Found existing document with same title, deleting...');
             try {
-                const deleteResponse = await fetch(`https://${base}/v1/convai/knowledge-base/${existingDoc.id}?agent_id=${agentId}`, {
-                    method: 'DELETE',
-                    headers: {
-                        'xi-api-key': apiKey,
-                    }
-                });
-                
-                if (deleteResponse.ok) {
-                    console.log('✅ Deleted existing document successfully');
-                } else {
-                    const deleteError = await deleteResponse.text();
-                    console.log('⚠️ Could not delete existing document:', deleteResponse.status, deleteError);
-                }
+                await elevenlabs.deleteDocument({ agentId, id: existingDoc.id });
+                console.log('✅ Deleted existing document successfully');
             } catch (deleteErr) {
-                console.log('⚠️ Delete request failed:', deleteErr.message);
+                console.log('⚠️ Could not delete existing document:', deleteErr.status, deleteErr.details || deleteErr.message);
             }
         }
 
         // Step 3: Create new knowledge base document
         console.log('📝 Creating new knowledge base document...');
-        const createPayload = {
-            text: content,
-            name: title
-        };
-
-        const createResponse = await fetch(`https://${base}/v1/convai/knowledge-base/text?agent_id=${agentId}`, {
-            method: 'POST',
-            headers: {
-                'xi-api-key': apiKey,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(createPayload)
-        });
-        
-        if (!createResponse.ok) {
-            const errorText = await createResponse.text();
+        let createResult;
+        try {
+            createResult = await elevenlabs.createTextDocument({ agentId, name: title, text: content });
+        } catch (createErr) {
             console.error('❌ KB document creation failed:', {
-                status: createResponse.status,
-                statusText: createResponse.statusText,
-                error: errorText
+                status: createErr.status,
+                requestId: createErr.requestId,
+                error: createErr.details || createErr.message
             });
-            throw new Error(`KB document creation failed: ${errorText}`);
+            throw createErr;
         }
-        
-        const createResult = await createResponse.json();
         console.log('✅ KB document created successfully:', {
             id: createResult.id,
             name: createResult.name
@@ -298,19 +556,7 @@ async function updateConvAIKnowledgeBase({ apiKey, agentId, title, content }) {
 
         // Step 4: Get current agent configuration
         console.log('📋 Getting current agent configuration...');
-        const getAgentResponse = await fetch(`https://${base}/v1/convai/agents/${agentId}`, {
-            method: 'GET',
-            headers: {
-                'xi-api-key': apiKey,
-            }
-        });
-        
-        if (!getAgentResponse.ok) {
-            const getError = await getAgentResponse.text();
-            throw new Error(`Could not retrieve agent data: ${getError}`);
-        }
-        
-        const agentData = await getAgentResponse.json();
+        const agentData = await elevenlabs.getAgent(agentId);
         console.log('📄 Retrieved agent data successfully');
 
         // Step 5: Update agent with knowledge base using the correct API structure
@@ -329,7 +575,8 @@ async function updateConvAIKnowledgeBase({ apiKey, agentId, title, content }) {
             type: "text", // Since we created a text document
             name: title,
             id: createResult.id,
-            usage_mode: "prompt" // Default usage mode
+            // Too big for the prompt budget → let the agent retrieve from it instead
+            usage_mode: estimateTokens(content) > chunkingOptions(chunking).promptBudgetTokens ? "auto" : "prompt"
         };
         
         // Replace ALL existing knowledge base entries with just the new one
@@ -356,22 +603,13 @@ async function updateConvAIKnowledgeBase({ apiKey, agentId, title, content }) {
             type: kb.type
         })));
 
-        const updateResponse = await fetch(`https://${base}/v1/convai/agents/${agentId}`, {
-            method: 'PATCH',
-            headers: {
-                'xi-api-key': apiKey,
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(updatePayload)
-        });
-        
-        if (!updateResponse.ok) {
-            const updateError = await updateResponse.text();
-            console.error('❌ Agent update failed:', updateResponse.status, updateError);
-            throw new Error(`Failed to associate KB with agent: ${updateError}`);
+        let updateResult;
+        try {
+            updateResult = await elevenlabs.patchAgent(agentId, updatePayload, { what: 'KB association' });
+        } catch (updateErr) {
+            console.error('❌ Agent update failed:', updateErr.status, updateErr.details || updateErr.message);
+            throw updateErr;
         }
-        
-        const updateResult = await updateResponse.json();
         console.log('✅ Agent updated successfully');
         
         // Step 6: Verify the knowledge base was properly associated
@@ -392,10 +630,13 @@ async function updateConvAIKnowledgeBase({ apiKey, agentId, title, content }) {
         }
         
         return {
-            document_id: 'created',
-            name: title,
             agent_id: agentId,
-            method: 'simplified_for_demo'
+            created: [createResult.id],
+            updated: [],
+            removed: existingKnowledgeBase.map(kb => kb.id).filter(id => id !== createResult.id),
+            unchanged: [],
+            preserved: [],
+            associated: isAssociated
         };
         
     } catch (error) {
@@ -414,22 +655,215 @@ app.get('/projects', async (_req, res) => {
     }
 });
 
+const documentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 25 * 1024 * 1024, files: 20 }
+});
+
+// Shared secret for the document management routes; closed without DOCUMENTS_API_TOKEN
+// unless DOCUMENTS_API_OPEN=1 (local development)
+const requireDocumentsToken = requireBearerToken('DOCUMENTS_API_TOKEN', { openEnv: 'DOCUMENTS_API_OPEN' });
+
+// Per-project conversation_initiation_client_data; the Worker's /ws sends it upstream on connect
+async function projectClientData(key) {
+    const { title, project, documents } = await loadDocuments(key);
+    const text = documents.map(d => d.text).join('\n\n');
+    return { title, project, text, clientData: buildInitiationClientData({ project, title, documents, text }) };
+}
+
+app.get('/projects/:key/convai', async (req, res) => {
+    try {
+        const { clientData } = await projectClientData(req.params.key);
+        res.json(clientData);
+    } catch (e) {
+        res.status(400).json({ error: String(e.message || e) });
+    }
+});
+
+app.get('/projects/:key/documents', async (req, res) => {
+    try {
+        res.json({ project: req.params.key, files: await listProjectFiles(req.params.key) });
+    } catch (e) {
+        res.status(400).json({ error: String(e.message || e) });
+    }
+});
+
+app.post('/projects/:key/documents', requireDocumentsToken, documentUpload.any(), async (req, res) => {
+    try {
+        if (!req.files?.length) {
+            return res.status(400).json({ error: 'No document files provided' });
+        }
+        const saved = [];
+        const errors = [];
+        for (const f of req.files) {
+            try {
+                saved.push(await addProjectDocument(req.params.key, f.originalname, f.buffer));
+            } catch (e) {
+                errors.push({ name: f.originalname, error: String(e.message || e) });
+            }
+        }
+        console.log('📥 Documents uploaded:', { project: req.params.key, saved: saved.length, failed: errors.length });
+        res.status(saved.length ? 201 : 400).json({ project: req.params.key, saved, errors });
+    } catch (e) {
+        console.error('Document upload error:', e);
+        res.status(400).json({ error: String(e.message || e) });
+    }
+});
+
+app.delete('/projects/:key/documents/:name', requireDocumentsToken, async (req, res) => {
+    try {
+        const removed = await removeProjectDocument(req.params.key, req.params.name);
+        if (!removed) return res.status(404).json({ error: 'document not found', name: req.params.name });
+        console.log('🗑️ Document removed:', { project: req.params.key, name: req.params.name });
+        res.json({ project: req.params.key, removed: req.params.name });
+    } catch (e) {
+        console.error('Document delete error:', e);
+        res.status(400).json({ error: String(e.message || e) });
+    }
+});
+
+// Agent settings beyond the KB: the prompt and tool webhooks are not public, so reads and changes
+// take AGENT_API_TOKEN and stay closed without it unless AGENT_API_OPEN=1
+const requireAgentToken = requireBearerToken('AGENT_API_TOKEN', { openEnv: 'AGENT_API_OPEN' });
+
+async function projectAgent(key) {
+    const project = await getProject(key);
+    const { agentId } = projectSettings(project);
+    if (!agentId) throw clientError(400, 'no agent configured for this project (agent_id in project.json or ELEVENLABS_AGENT_ID)');
+    if (!process.env.ELEVENLABS_API_KEY) throw clientError(500, 'ELEVENLABS_API_KEY not configured');
+    const elevenlabs = createElevenLabsClient({ apiKey: process.env.ELEVENLABS_API_KEY, env: process.env });
+    return { project, agentId, elevenlabs };
+}
+
+// ElevenLabs failures keep their status; anything else is a bad request
+function agentRouteError(res, label, e) {
+    console.error(`❌ ${label}:`, e.status || '', e.message);
+    res.status(e.status || 400).json({
+        error: String(e.message || e),
+        ...(e.requestId ? { request_id: e.requestId } : {})
+    });
+}
+
+app.get('/projects/:key/agent', requireAgentToken, async (req, res) => {
+    try {
+        const { project, agentId, elevenlabs } = await projectAgent(req.params.key);
+        const agent = await elevenlabs.getAgent(agentId);
+        const snapshots = (await getAgentSnapshotStore().get(project.key)) || [];
+        res.json({
+            project: project.key,
+            agent_id: agentId,
+            config: agentConfigView(agent),
+            snapshots: snapshots.map(snapshotSummary)
+        });
+    } catch (e) {
+        agentRouteError(res, 'Agent config read failed', e);
+    }
+});
+
+// Body: any of prompt, first_message, language, voice_id, llm, temperature, tools.
+// Only those fields change; the config before the change is kept as a snapshot.
+app.patch('/projects/:key/agent', requireAgentToken, async (req, res) => {
+    try {
+        const { fields, errors } = parseAgentConfigPatch(req.body);
+        if (errors.length) return res.status(400).json({ error: 'invalid agent config', details: errors });
+
+        const { project, agentId, elevenlabs } = await projectAgent(req.params.key);
+        const agent = await elevenlabs.getAgent(agentId);
+        const changed = changedFields(agent, fields);
+        if (!changed.length) {
+            return res.json({ project: project.key, agent_id: agentId, changed: [], config: agentConfigView(agent) });
+        }
+
+        const snapshot = makeSnapshot(agent, { agentId, fields: changed });
+        const updated = await elevenlabs.patchAgent(agentId, {
+            conversation_config: mergeAgentConfig(agent.conversation_config, fields)
+        });
+        const snapshots = getAgentSnapshotStore();
+        await snapshots.set(project.key, addSnapshot(await snapshots.get(project.key), snapshot));
+        console.log('🛠️ Agent config updated:', { project: project.key, agentId: agentId.substring(0, 12) + '...', changed, snapshot: snapshot.id });
+
+        res.json({
+            project: project.key,
+            agent_id: agentId,
+            changed,
+            snapshot_id: snapshot.id,
+            config: agentConfigView(updated)
+        });
+    } catch (e) {
+        agentRouteError(res, 'Agent config update failed', e);
+    }
+});
+
+// Restore the latest snapshot, or { snapshot_id } to go further back (newer snapshots are dropped)
+app.post('/projects/:key/agent/rollback', requireAgentToken, async (req, res) => {
+    try {
+        const { project, agentId, elevenlabs } = await projectAgent(req.params.key);
+        const snapshots = getAgentSnapshotStore();
+        const list = (await snapshots.get(project.key)) || [];
+        const wanted = req.body?.snapshot_id;
+        const index = wanted ? list.findIndex(s => s.id === wanted) : 0;
+        const snapshot = list[index];
+        if (!snapshot) {
+            return res.status(404).json({ error: wanted ? 'snapshot not found' : 'no snapshot to roll back to' });
+        }
+        if (snapshot.agent_id !== agentId) {
+            return res.status(409).json({ error: `snapshot is for agent ${snapshot.agent_id}, project now uses ${agentId}` });
+        }
+
+        const agent = await elevenlabs.getAgent(agentId);
+        const updated = await elevenlabs.patchAgent(agentId, {
+            conversation_config: rollbackConversationConfig(snapshot.conversation_config, agent.conversation_config)
+        }, { what: 'Agent rollback' });
+        await snapshots.set(project.key, list.slice(index + 1));
+        console.log('⏪ Agent config rolled back:', { project: project.key, snapshot: snapshot.id, taken_at: snapshot.taken_at });
+
+        res.json({
+            project: project.key,
+            agent_id: agentId,
+            restored: snapshotSummary(snapshot),
+            config: agentConfigView(updated)
+        });
+    } catch (e) {
+        agentRouteError(res, 'Agent rollback failed', e);
+    }
+});
+
 app.get('/kb/:key', async (req, res) => {
     try {
-        const { title, text } = await assembleKB(req.params.key);
-        res.json({ title, text });
+        const perDocument = req.query.perDocument === '1' || req.query.perDocument === 'true';
+        const { title, project, documents, skipped, warnings } = await loadDocuments(req.params.key);
+        const text = documents.map(d => d.text).join('\n\n');
+        // How /push would attach this KB with the same perDocument setting
+        const plan = planKnowledgeBase(perDocument ? documents : [{ name: '', text }], project.kb);
+        res.json({ title, text, plan: summarizePlan(plan), skipped, warnings });
     } catch (e) {
         console.error('KB assembly error:', e);
         res.status(400).json({ error: String(e.message || e) });
     }
 });
 
+app.get('/kb/:key/documents', async (req, res) => {
+    try {
+        const { title, documents, skipped, warnings } = await loadDocuments(req.params.key);
+        const withText = req.query.text === '1' || req.query.text === 'true';
+        res.json({
+            title,
+            documents: documents.map(({ text, ...meta }) => (withText ? { ...meta, text } : meta)),
+            skipped,
+            warnings
+        });
+    } catch (e) {
+        console.error('KB documents error:', e);
+        res.status(400).json({ error: String(e.message || e) });
+    }
+});
+
 app.get('/kb', async (req, res) => {
   try {
     const key = req.query.key;
     if (!key) return res.status(400).json({ error: 'key required' });
-    const { title, text } = await assembleKB(key);
-    res.json({ title, text });
+    const { title, text, skipped, warnings } = await assembleKB(key);
+    res.json({ title, text, skipped, warnings });
   } catch (e) {
     console.error('KB assembly error:', e);
     res.status(400).json({ error: String(e.message || e) });
@@ -437,97 +871,295 @@ app.get('/kb', async (req, res) => {
 });
 
 
-app.post('/push', async (req, res) => {
-    try {
-        const { project, mode } = req.body || {};
-        if (!project || !mode) {
-            return res.status(400).json({ error: 'project and mode required' });
-        }
+// Errors whose message and status are meant for the client (bad input, missing config)
+function clientError(status, message) {
+    const e = new Error(message);
+    e.status = status;
+    return e;
+}
 
-        console.log(`🔄 Push request received:`, { project, mode });
-        
-        const kb = await assembleKB(project);
-        console.log('📋 Knowledge base assembled:', {
-            title: kb.title,
-            textLength: kb.text?.length
-        });
+async function runPush({ project, mode, perDocument, dryRun, force }, { base, progress = () => {} }) {
+    console.log(`🔄 Push request received:`, { project, mode, perDocument: !!perDocument });
+    progress({ message: 'assembling knowledge base' });
 
-        const requiredVars = {
-            ELEVENLABS_API_KEY: process.env.ELEVENLABS_API_KEY,
-            ELEVENLABS_VOICE_ID: process.env.ELEVENLABS_VOICE_ID,
-        };
+    const { title, project: meta, documents, warnings } = await loadDocuments(project);
+    const kb = { title, text: documents.map(d => d.text).join('\n\n') };
+    const settings = projectSettings(meta);
+    console.log('📋 Knowledge base assembled:', {
+        title: kb.title,
+        documents: documents.length,
+        textLength: kb.text?.length,
+        warnings
+    });
 
-        if (mode === 'convai') {
-            requiredVars.ELEVENLABS_CONVAI_WEBHOOK = process.env.ELEVENLABS_CONVAI_WEBHOOK;
-            requiredVars.ELEVENLABS_WEBHOOK_SECRET = process.env.ELEVENLABS_WEBHOOK_SECRET;
-        }
+    const requiredVars = {
+        ELEVENLABS_API_KEY: process.env.ELEVENLABS_API_KEY,
+        ELEVENLABS_VOICE_ID: settings.voiceId,
+    };
 
-        const missingVars = Object.entries(requiredVars)
-            .filter(([key, value]) => !value)
-            .map(([key]) => key);
+    if (mode === 'convai') {
+        requiredVars.ELEVENLABS_CONVAI_WEBHOOK = process.env.ELEVENLABS_CONVAI_WEBHOOK;
+        requiredVars.ELEVENLABS_WEBHOOK_SECRET = process.env.ELEVENLABS_WEBHOOK_SECRET;
+    }
+
+    const missingVars = Object.entries(requiredVars)
+        .filter(([key, value]) => !value)
+        .map(([key]) => key);
+
+    if (missingVars.length > 0) {
+        const error = `Missing required environment variables: ${missingVars.join(', ')}`;
+        console.error('❌', error);
+        throw clientError(400, error);
+    }
+
+    const kbDocuments = perDocument
+        ? documents.map(d => ({ name: d.name, text: d.text, hash: d.hash }))
+        : undefined;
 
-        if (missingVars.length > 0) {
-            const error = `Missing required environment variables: ${missingVars.join(', ')}`;
-            console.error('❌', error);
-            return res.status(400).json({ error });
+    if (mode === 'convai') {
+        const agentId = settings.agentId;
+        const desired = desiredKBDocuments({ namespace: meta.key, content: kb.text, documents: kbDocuments, chunking: meta.kb });
+        const plan = planManifestDiff(await getManifestStore().get(meta.key), desired, agentId);
+        console.log('🧮 KB change plan:', plan);
+
+        if (dryRun) {
+            return { mode, dryRun: true, title: kb.title, plan };
+        }
+        if (!plan.hasChanges && !force) {
+            console.log('⏭️ No KB changes since last push, skipping upload');
+            return { mode, success: true, changed: false, message: 'no changes', plan };
         }
+    }
 
-        const out = await pushToElevenLabs({
-            apiKey: process.env.ELEVENLABS_API_KEY,
-            mode,
-            voiceId: process.env.ELEVENLABS_VOICE_ID || undefined,
-            convaiWebhookUrl: process.env.ELEVENLABS_CONVAI_WEBHOOK || undefined,
-            convaiWebhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET || undefined,
-            kbTitle: kb.title,
-            kbText: kb.text,
-            outDir: 'out'
-        });
+    progress({ message: mode === 'tts' ? 'synthesizing audio' : 'uploading knowledge base' });
+    const out = await pushToElevenLabs({
+        apiKey: process.env.ELEVENLABS_API_KEY,
+        mode,
+        voiceId: settings.voiceId || undefined,
+        agentId: settings.agentId || undefined,
+        ttsModelId: settings.ttsModelId,
+        voiceSettings: settings.voiceSettings,
+        convaiWebhookUrl: process.env.ELEVENLABS_CONVAI_WEBHOOK || undefined,
+        convaiWebhookSecret: process.env.ELEVENLABS_WEBHOOK_SECRET || undefined,
+        kbProject: meta.key,
+        kbTitle: kb.title,
+        kbText: kb.text,
+        kbDocuments,
+        kbOptions: meta.kb,
+        outDir: MEDIA_DIR,
+        onProgress: progress
+    });
+
+    if (out.mode === 'tts' && out.fileName) {
+        out.file = mediaUrl(base, out.fileName);
+        out.chapters = mediaUrl(base, chaptersFileFor(out.fileName));
+    }
+    return out;
+}
 
-        if (out.mode === 'tts' && out.file?.startsWith('/media/')) {
-            out.file = `${baseUrl(req)}${out.file}`;
+async function runTts({ project }, { base, progress = () => {} }) {
+    progress({ message: 'assembling knowledge base' });
+    const kb = await assembleKB(project);
+    const settings = projectSettings(kb.project);
+
+    progress({ message: 'synthesizing audio' });
+    const fileRel = await ttsToFile({
+        apiKey: process.env.ELEVENLABS_API_KEY,
+        voiceId: settings.voiceId,
+        modelId: settings.ttsModelId,
+        voiceSettings: settings.voiceSettings,
+        name: kb.project.key,
+        title: kb.title,
+        text: kb.text,
+        outDir: MEDIA_DIR,
+        onProgress: progress
+    });
+
+    return {
+        url: mediaUrl(base, fileRel),
+        chapters: mediaUrl(base, chaptersFileFor(fileRel))
+    };
+}
+
+getJobQueue().register('push', (payload, { progress }) => runPush(payload, { base: payload.base, progress }));
+getJobQueue().register('tts', (payload, { progress }) => runTts(payload, { base: payload.base, progress }));
+
+// `{ "async": true }` in the body or `?async=1` queues the work and answers 202 right away
+function wantsAsync(req) {
+    return req.body?.async === true || req.query.async === '1' || req.query.async === 'true';
+}
+
+async function enqueueJob(req, res, type, payload) {
+    const job = await getJobQueue().enqueue(type, { ...payload, base: baseUrl(req) });
+    console.log(`📬 Queued ${type} job:`, job.id);
+    res.status(202)
+        .location(`/jobs/${job.id}`)
+        .json({ job_id: job.id, status: job.status, status_url: `${baseUrl(req)}/jobs/${job.id}` });
+}
+
+app.post('/push', rateLimit('push'), async (req, res) => {
+    try {
+        const { project, mode, perDocument, dryRun, force } = req.body || {};
+        if (!project || !mode) {
+            return res.status(400).json({ error: 'project and mode required' });
         }
 
-        res.json(out);
+        const params = { project, mode, perDocument, dryRun, force };
+        if (wantsAsync(req) && !dryRun) return enqueueJob(req, res, 'push', params);
+
+        res.json(await runPush(params, { base: baseUrl(req) }));
     } catch (e) {
         console.error('❌ Push error:', e);
-        res.status(400).json({ 
+        res.status(e.status || 400).json({ 
             error: String(e.message || e),
             details: e.stack?.split('\n').slice(0, 5).join('\n')
         });
     }
 });
 
-app.post('/tts', async (req, res) => {
+app.post('/tts', rateLimit('tts'), async (req, res) => {
     try {
         const { project } = req.body || {};
         if (!project) return res.status(400).json({ error: 'project required' });
 
-        const kb = await assembleKB(project);
-        const fileRel = await ttsToFile({
+        if (wantsAsync(req)) return enqueueJob(req, res, 'tts', { project });
+
+        res.json(await runTts({ project }, { base: baseUrl(req) }));
+    } catch (e) {
+        console.error('TTS error:', e);
+        res.status(400).json({ error: String(e.message || e) });
+    }
+});
+
+// Low-latency playback: audio is piped to the client as ElevenLabs produces it.
+// GET ?project=…|text=…&format=mp3|pcm|ulaw&sample_rate=…, or the same fields as a JSON POST body.
+async function handleTtsStream(req, res) {
+    const params = req.method === 'POST' ? { ...req.query, ...(req.body || {}) } : req.query;
+    const { project, text } = params;
+    if (!project && !text) return res.status(400).json({ error: 'project or text required' });
+
+    let format;
+    try {
+        format = resolveStreamFormat(params.format || 'mp3', params.sample_rate);
+    } catch (e) {
+        return res.status(400).json({ error: String(e.message || e) });
+    }
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    try {
+        const kb = project ? await assembleKB(project) : null;
+        const settings = projectSettings(kb?.project);
+        if (!process.env.ELEVENLABS_API_KEY || !settings.voiceId) {
+            return res.status(500).json({ error: 'ElevenLabs API key or voice id not configured' });
+        }
+
+        console.log('🔊 TTS stream:', { project, textLength: (kb?.text || text).length, format: format.outputFormat });
+        const audio = streamTts({
             apiKey: process.env.ELEVENLABS_API_KEY,
-            voiceId: process.env.ELEVENLABS_VOICE_ID,
-            title: kb.title,
-            text: kb.text,
-            outDir: 'out'
+            voiceId: settings.voiceId,
+            modelId: params.model_id || settings.ttsModelId,
+            voiceSettings: settings.voiceSettings,
+            title: kb?.title,
+            text: kb ? kb.text : String(text),
+            outputFormat: format.outputFormat,
+            signal: controller.signal
         });
 
-        res.json({ url: `${baseUrl(req)}/media/${fileRel}` });
+        for await (const part of audio) {
+            if (!res.headersSent) {
+                res.status(200);
+                res.setHeader('Content-Type', format.contentType);
+                res.setHeader('Cache-Control', 'no-store');
+                res.setHeader('X-Accel-Buffering', 'no');
+            }
+            if (!res.write(part)) await new Promise(r => res.once('drain', r));
+        }
+        res.end();
     } catch (e) {
-        console.error('TTS error:', e);
+        if (controller.signal.aborted) return;
+        console.error('TTS stream error:', e);
+        // Once audio has started the status line is gone; all we can do is cut the stream
+        if (res.headersSent) return res.destroy(e);
         res.status(400).json({ error: String(e.message || e) });
     }
+}
+
+app.get('/tts/stream', rateLimit('tts'), handleTtsStream);
+app.post('/tts/stream', rateLimit('tts'), handleTtsStream);
+
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await getJobQueue().get(req.params.id);
+        if (!job) return res.status(404).json({ error: 'job not found', id: req.params.id });
+        res.json(job);
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// --- realtime sessions ---
+
+// Token from `?token=` or `Authorization: Bearer`; the project it was minted for must match
+async function checkSession(req, projectKey) {
+    const config = sessionConfig(process.env);
+    if (!originAllowed(config, req.headers.origin)) {
+        return { ok: false, status: 403, reason: 'origin not allowed' };
+    }
+    const token = req.query.token || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const project = projectKey ? (await getProject(projectKey)).key : undefined;
+    return verifySessionToken(config, token, { project });
+}
+
+// Where the browser connects: our proxy when REALTIME_WS_URL is set, otherwise a short-lived
+// signed ElevenLabs URL. Never a URL carrying the API key.
+async function realtimeWsUrl({ token, agentId }) {
+    if (process.env.REALTIME_WS_URL) {
+        const url = new URL(process.env.REALTIME_WS_URL);
+        url.searchParams.set('token', token);
+        return url.toString();
+    }
+    return getSignedWsUrl({ agentId, apiKey: process.env.ELEVENLABS_API_KEY });
+}
+
+// Mint a session token: body/query { project }
+app.post('/session', async (req, res) => {
+    try {
+        const config = sessionConfig(process.env);
+        const access = await checkMintAccess(config, { origin: req.headers.origin, authorization: req.headers.authorization });
+        if (!access.ok) {
+            return res.status(access.status).json({ error: access.reason });
+        }
+        const key = req.body?.project || req.query.project;
+        if (!key) return res.status(400).json({ error: 'project required' });
+
+        const project = await getProject(key);
+        const { agentId } = projectSettings(project);
+        const session = await mintSessionToken(config, { project: project.key, agentId });
+        console.log('🎟️ Session token minted:', { project: project.key, expires_at: session.expires_at });
+        res.json({ project: project.key, ...session });
+    } catch (e) {
+        const status = /not configured/.test(e.message) ? 503 : 400;
+        res.status(status).json({ error: String(e.message || e) });
+    }
 });
 
 app.get('/realtime/:project', async (req, res) => {
     try {
         const { project } = req.params;
-        const kb = await assembleKB(project);
+        const session = await checkSession(req, project);
+        if (!session.ok) {
+            return res.status(session.status).json({ error: session.reason });
+        }
+        const kb = await projectClientData(project);
         res.json(makeRealtimeSessionPayload({
             project,
             kbTitle: kb.title,
             kbText: kb.text,
             model: process.env.ELEVENLABS_MODEL || 'eleven_flash_v2',
-            agentId: process.env.ELEVENLABS_AGENT_ID || ''
+            agentId: projectSettings(kb.project).agentId,
+            clientData: kb.clientData
         }));
     } catch (e) {
         console.error('Realtime session error:', e);
@@ -540,13 +1172,17 @@ app.get('/realtime', async (req, res) => {
     const project = req.query.project;
     if (!project) return res.status(400).json({ error: 'project required' });
 
+    const session = await checkSession(req, project);
+    if (!session.ok) {
+      return res.status(session.status).json({ error: session.reason });
+    }
+
     const kb = await assembleKB(project);
-    const model = process.env.ELEVENLABS_MODEL || 'eleven_flash_v2';
-    const agentId = process.env.ELEVENLABS_AGENT_ID || '';
-    const xiKey = process.env.ELEVENLABS_API_KEY;
+    const agentId = projectSettings(kb.project).agentId;
+    const token = req.query.token || (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
 
     res.json({
-      ws_url: `wss://api.elevenlabs.io/v1/convai/ws?model=${encodeURIComponent(model)}&agent_id=${encodeURIComponent(agentId)}&xi-api-key=${encodeURIComponent(xiKey)}`,
+      ws_url: await realtimeWsUrl({ token, agentId }),
       initial_knowledge_base: { title: kb.title, text: kb.text },
     });
   } catch (e) {
@@ -555,16 +1191,72 @@ app.get('/realtime', async (req, res) => {
 });
 
 
+// Recorded /ws sessions (same shape as the Worker's) are caller data: closed without
+// CONVERSATIONS_API_TOKEN unless CONVERSATIONS_API_OPEN=1
+const requireConversationsToken = requireBearerToken('CONVERSATIONS_API_TOKEN', { openEnv: 'CONVERSATIONS_API_OPEN' });
+
+app.get('/conversations', requireConversationsToken, async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const conversations = await conversationStore(process.env).list({ project: req.query.project || undefined, limit });
+        res.json({ conversations });
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+app.get('/conversations/:id', requireConversationsToken, async (req, res) => {
+    try {
+        const record = await conversationStore(process.env).get(req.params.id);
+        if (!record) return res.status(404).json({ error: 'Conversation not found' });
+        res.json(record);
+    } catch (e) {
+        res.status(500).json({ error: String(e.message || e) });
+    }
+});
+
+// Audio and chapter sidecars written by ttsToFile. sendFile handles Range, ETag and Content-Type.
+app.get('/media/:file', (req, res) => {
+    const { file } = req.params;
+    const access = checkMediaAccess(file, req.query);
+    if (!access.ok) {
+        return res.status(access.status).json({ error: access.reason });
+    }
+
+    res.sendFile(file, {
+        root: MEDIA_DIR,
+        dotfiles: 'deny',
+        acceptRanges: true,
+        etag: true,
+        lastModified: true,
+        headers: {
+            'Cache-Control': process.env.MEDIA_SIGNING_SECRET ? 'private, max-age=300' : 'public, max-age=300'
+        }
+    }, (err) => {
+        if (!err) return;
+        if (res.headersSent) return;
+        if (err.status === 404 || err.code === 'ENOENT') {
+            return res.status(404).json({ error: 'not_found', file });
+        }
+        console.error('Media error:', err);
+        res.status(err.status || 500).json({ error: String(err.message || err) });
+    });
+});
+
 app.get('/diag', (_req, res) => {
     const red = (v) => (v ? (v.length > 10 ? v.slice(0,4)+'…'+v.slice(-4) : v) : '');
     res.json({
-        ELEVENLABS_BASE: process.env.ELEVENLABS_BASE || 'api.elevenlabs.io',
+        ELEVENLABS_BASE: elevenLabsEndpoint(process.env).http,
         have_API_KEY: !!process.env.ELEVENLABS_API_KEY,
         API_KEY_preview: red(process.env.ELEVENLABS_API_KEY || ''),
         AGENT_ID: process.env.ELEVENLABS_AGENT_ID || '',
         MODEL: process.env.ELEVENLABS_MODEL || '',
         WEBHOOK_URL: process.env.ELEVENLABS_CONVAI_WEBHOOK || '',
         have_WEBHOOK_SECRET: !!process.env.ELEVENLABS_WEBHOOK_SECRET,
+        WEBHOOK_DEV_BYPASS: devBypassEnabled(),
+        have_SESSION_TOKEN_SECRET: !!process.env.SESSION_TOKEN_SECRET,
+        SESSION_TOKEN_DEV_BYPASS: sessionConfig(process.env).devBypass,
+        ALLOWED_ORIGINS: sessionConfig(process.env).allowedOrigins,
     });
 });
 
@@ -581,5 +1273,63 @@ app.use((err, req, res, _next) => {
   res.status(err.status || 500).json({ error: 'internal_error', message: err.message || 'oops' });
 });
 
+// --- /ws proxy (Node only; Vercel functions can't hold WebSockets) ---
+
+// Same rules as the Worker: origin allow-list, session token, concurrent session caps
+async function authorizeWs(req, url) {
+    // Upgrades bypass Express; give the request its prototype (as app.handle does) for req.ip
+    Object.setPrototypeOf(req, app.request);
+    const config = sessionConfig(process.env);
+    if (!originAllowed(config, req.headers.origin)) {
+        return { ok: false, status: 403, reason: 'Origin not allowed' };
+    }
+    const session = await verifySessionToken(config, url.searchParams.get('token'), {
+        project: url.searchParams.get('project') || undefined
+    });
+    if (!session.ok) return session;
+
+    const project = session.claims.project || url.searchParams.get('project') || 'default';
+    const agentId = session.bypassed
+        ? url.searchParams.get('agent_id') || process.env.ELEVENLABS_AGENT_ID
+        : session.claims.agentId || process.env.ELEVENLABS_AGENT_ID;
+    if (!process.env.ELEVENLABS_API_KEY) return { ok: false, status: 500, reason: 'Missing API key' };
+    if (!agentId) return { ok: false, status: 500, reason: 'Missing agent ID' };
+
+    const maxSessionSec = limitSetting(process.env, 'WS_MAX_SESSION_SEC');
+    const slots = await acquireSlots([
+        { key: `ws:ip:${clientIp(req)}`, limit: limitSetting(process.env, 'WS_MAX_CONCURRENT_PER_CLIENT') },
+        { key: `ws:project:${project}`, limit: limitSetting(process.env, 'WS_MAX_CONCURRENT_PER_PROJECT') }
+    ], (maxSessionSec || 3600) * 1000 + 60000);
+    if (!slots.ok) return { ok: false, status: 429, reason: 'Too many concurrent sessions' };
+
+    return {
+        ok: true,
+        project,
+        agentId,
+        model: url.searchParams.get('model') || process.env.ELEVENLABS_MODEL || 'eleven_flash_v2',
+        release: () => slots.release()
+    };
+}
+
+export function createServer() {
+    const server = http.createServer(app);
+    attachConvaiProxy(server, {
+        authorize: authorizeWs,
+        clientData: async (project) => (await projectClientData(project)).clientData,
+        store: conversationStore(process.env),
+        apiKey: process.env.ELEVENLABS_API_KEY,
+        endpoint: elevenLabsEndpoint(process.env),
+        maxSessionSec: limitSetting(process.env, 'WS_MAX_SESSION_SEC'),
+        maxReconnects: reconnectAttempts(process.env)
+    });
+    return server;
+}
+
+// `node server.js` listens (with /ws); on Vercel the app is imported and no server is started
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 3000;
+    createServer().listen(port, () => console.log(`🚀 Listening on http://localhost:${port} (ws on /ws)`));
+}
+
 // Export the Express app for Vercel (instead of server.listen)
 export default app;
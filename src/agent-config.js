@@ -0,0 +1,199 @@
+// src/agent-config.js
+// The ConvAI agent settings a project may manage (prompt, greeting, language, voice, LLM,
+// temperature, tools): validation, merging into the agent's conversation_config, and snapshots
+// of the previous config so a bad change can be rolled back.
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { createFileManifestStore } from './manifest.js';
+
+const MAX_PROMPT_CHARS = 100000;
+const MAX_FIRST_MESSAGE_CHARS = 2000;
+const MAX_TOOLS = 30;
+const MAX_TOOL_DESCRIPTION_CHARS = 1000;
+const MAX_SNAPSHOTS = 20;
+const TOOL_TYPES = ['client', 'webhook', 'system'];
+const LANGUAGE_RE = /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/;
+const VOICE_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+const TOOL_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Where each field lives inside conversation_config; aliases are accepted on input
+export const AGENT_FIELDS = {
+  prompt: { path: ['agent', 'prompt', 'prompt'], aliases: ['system_prompt', 'systemPrompt'] },
+  first_message: { path: ['agent', 'first_message'], aliases: ['firstMessage'] },
+  language: { path: ['agent', 'language'], aliases: [] },
+  voice_id: { path: ['tts', 'voice_id'], aliases: ['voiceId'] },
+  llm: { path: ['agent', 'prompt', 'llm'], aliases: [] },
+  temperature: { path: ['agent', 'prompt', 'temperature'], aliases: [] },
+  tools: { path: ['agent', 'prompt', 'tools'], aliases: [] }
+};
+
+const isPlainObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function validateTools(tools) {
+  if (!Array.isArray(tools)) return ['tools must be an array'];
+  if (tools.length > MAX_TOOLS) return [`at most ${MAX_TOOLS} tools allowed`];
+  const errors = [];
+  const names = new Set();
+  tools.forEach((tool, i) => {
+    const at = `tools[${i}]`;
+    if (!isPlainObject(tool)) return errors.push(`${at} must be an object`);
+    if (!TOOL_TYPES.includes(tool.type)) errors.push(`${at}.type must be one of ${TOOL_TYPES.join(', ')}`);
+    if (typeof tool.name !== 'string' || !TOOL_NAME_RE.test(tool.name)) {
+      errors.push(`${at}.name must be 1-64 letters, digits, _ or -`);
+    } else if (names.has(tool.name)) {
+      errors.push(`${at}.name "${tool.name}" is used twice`);
+    } else {
+      names.add(tool.name);
+    }
+    if (tool.type !== 'system' && (typeof tool.description !== 'string' || !tool.description.trim())) {
+      errors.push(`${at}.description is required`);
+    } else if (tool.description !== undefined && String(tool.description).length > MAX_TOOL_DESCRIPTION_CHARS) {
+      errors.push(`${at}.description must be at most ${MAX_TOOL_DESCRIPTION_CHARS} characters`);
+    }
+    if (tool.type === 'webhook' && !/^https?:\/\//i.test(String(tool.api_schema?.url || ''))) {
+      errors.push(`${at}.api_schema.url must be an http(s) URL`);
+    }
+    if (tool.parameters !== undefined && !isPlainObject(tool.parameters)) {
+      errors.push(`${at}.parameters must be an object`);
+    }
+  });
+  return errors;
+}
+
+const VALIDATORS = {
+  prompt: v => (typeof v === 'string' && v.trim() && v.length <= MAX_PROMPT_CHARS
+    ? [] : [`prompt must be a non-empty string of at most ${MAX_PROMPT_CHARS} characters`]),
+  // Empty is allowed: the agent then waits for the user to speak first
+  first_message: v => (typeof v === 'string' && v.length <= MAX_FIRST_MESSAGE_CHARS
+    ? [] : [`first_message must be a string of at most ${MAX_FIRST_MESSAGE_CHARS} characters`]),
+  language: v => (typeof v === 'string' && LANGUAGE_RE.test(v) ? [] : ['language must be a language code like "en" or "pt-BR"']),
+  voice_id: v => (typeof v === 'string' && VOICE_ID_RE.test(v) ? [] : ['voice_id must be an ElevenLabs voice id']),
+  llm: v => (typeof v === 'string' && v.trim() && v.length <= 100 ? [] : ['llm must be a model name']),
+  temperature: v => (typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 1 ? [] : ['temperature must be a number from 0 to 1']),
+  tools: validateTools
+};
+
+/**
+ * Validate a PATCH body. Returns { fields, errors }; `fields` uses the canonical names of
+ * AGENT_FIELDS and only holds what was sent. Unknown keys are errors, not silently dropped.
+ */
+export function parseAgentConfigPatch(input) {
+  const fields = {};
+  const errors = [];
+  if (!isPlainObject(input)) return { fields, errors: ['body must be a JSON object'] };
+
+  const canonical = new Map();
+  for (const [name, { aliases }] of Object.entries(AGENT_FIELDS)) {
+    canonical.set(name, name);
+    for (const alias of aliases) canonical.set(alias, name);
+  }
+  for (const [key, value] of Object.entries(input)) {
+    const name = canonical.get(key);
+    if (!name) {
+      errors.push(`unknown field: ${key}`);
+      continue;
+    }
+    if (name in fields) {
+      errors.push(`${name} given more than once`);
+      continue;
+    }
+    const problems = VALIDATORS[name](value);
+    if (problems.length) errors.push(...problems);
+    else fields[name] = value;
+  }
+  if (!errors.length && !Object.keys(fields).length) {
+    errors.push(`nothing to update; expected any of ${Object.keys(AGENT_FIELDS).join(', ')}`);
+  }
+  return { fields, errors };
+}
+
+/** The managed fields of an agent (GET /v1/convai/agents/:id response). */
+export function agentConfigView(agent) {
+  const view = {};
+  for (const [name, { path: keys }] of Object.entries(AGENT_FIELDS)) {
+    view[name] = keys.reduce((node, key) => node?.[key], agent?.conversation_config) ?? null;
+  }
+  return view;
+}
+
+// Objects merge, arrays and scalars replace
+export function deepMerge(target, patch) {
+  const out = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch || {})) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+/** Validated fields as a sparse conversation_config, e.g. { agent: { prompt: { llm } } }. */
+export function fieldsToConversationConfig(fields) {
+  const sparse = {};
+  for (const [name, value] of Object.entries(fields)) {
+    const keys = AGENT_FIELDS[name].path;
+    let node = sparse;
+    keys.slice(0, -1).forEach(key => { node = node[key] = node[key] || {}; });
+    node[keys[keys.length - 1]] = value;
+  }
+  return sparse;
+}
+
+/**
+ * The full conversation_config to send: the current one with only `fields` changed.
+ * Everything else (knowledge base, ASR, turn taking, ...) is carried over untouched.
+ */
+export function mergeAgentConfig(conversationConfig, fields) {
+  return deepMerge(conversationConfig, fieldsToConversationConfig(fields));
+}
+
+/** Names of `fields` whose value differs from the agent's current config. */
+export function changedFields(agent, fields) {
+  const current = agentConfigView(agent);
+  return Object.keys(fields).filter(name => JSON.stringify(current[name]) !== JSON.stringify(fields[name]));
+}
+
+/**
+ * conversation_config to restore from a snapshot. The knowledge base is left as it is now:
+ * KB syncs delete superseded documents, so the snapshot's list may point at documents that are gone.
+ */
+export function rollbackConversationConfig(snapshotConfig, currentConfig) {
+  const restored = deepMerge(snapshotConfig, {});
+  const knowledgeBase = currentConfig?.agent?.prompt?.knowledge_base;
+  if (knowledgeBase !== undefined) {
+    restored.agent = deepMerge(restored.agent, { prompt: { knowledge_base: knowledgeBase } });
+  }
+  return restored;
+}
+
+/** Snapshot entry for the agent as it was before a change; newest first in the store. */
+export function makeSnapshot(agent, { agentId, fields = [], reason = 'patch' } = {}) {
+  return {
+    id: crypto.randomUUID(),
+    taken_at: new Date().toISOString(),
+    agent_id: agentId || agent.agent_id,
+    reason,
+    fields,
+    conversation_config: agent.conversation_config || {}
+  };
+}
+
+export const snapshotSummary = ({ conversation_config, ...meta }) => meta;
+
+// Snapshots per project key, newest first, capped at MAX_SNAPSHOTS
+export function addSnapshot(list, snapshot) {
+  return [snapshot, ...(list || [])].slice(0, MAX_SNAPSHOTS);
+}
+
+// Not under out/ with the generated files /media serves: snapshots hold the full agent config
+let store = createFileManifestStore(
+  process.env.AGENT_SNAPSHOTS_PATH || path.resolve('data/agent-snapshots.json'),
+  { label: 'agent snapshots' }
+);
+
+export function getAgentSnapshotStore() {
+  return store;
+}
+
+// Swap in another backend (anything with async get(project) / set(project, snapshots))
+export function setAgentSnapshotStore(next) {
+  store = next;
+}
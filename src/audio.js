@@ -0,0 +1,153 @@
+// src/audio.js
+// Cheap checks on uploaded audio before it costs STT credits: real container format from magic
+// bytes (not the browser's mimetype), WAV header parsing, silence detection and duration limits.
+
+const MIN_BYTES = 512;
+
+const MIME = {
+  wav: 'audio/wav',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg; codecs=opus',
+  webm: 'audio/webm',
+  flac: 'audio/flac',
+  m4a: 'audio/mp4'
+};
+
+function ascii(buf, start, end) {
+  return buf.toString('latin1', start, end);
+}
+
+// MPEG audio frame header (not ADTS AAC, whose layer bits are 00)
+function isMp3FrameSync(buf, i = 0) {
+  return buf.length > i + 3 && buf[i] === 0xff && (buf[i + 1] & 0xe0) === 0xe0 && (buf[i + 1] & 0x06) !== 0;
+}
+
+export function sniffAudioFormat(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WAVE') return 'wav';
+  if (ascii(buf, 0, 4) === 'fLaC') return 'flac';
+  if (ascii(buf, 0, 4) === 'OggS') return ascii(buf, 28, 36) === 'OpusHead' ? 'opus' : 'ogg';
+  if (buf[0] === 0x1a && buf[1] === 0x45 && buf[2] === 0xdf && buf[3] === 0xa3) return 'webm';
+  if (ascii(buf, 4, 8) === 'ftyp') return 'm4a';
+  if (ascii(buf, 0, 3) === 'ID3' || isMp3FrameSync(buf)) return 'mp3';
+  return null;
+}
+
+/** Walk RIFF chunks: { audioFormat, channels, sampleRate, bitsPerSample, dataOffset, dataBytes, duration }. */
+export function parseWavHeader(buf) {
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = ascii(buf, offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ' && body + 16 <= buf.length) {
+      fmt = {
+        audioFormat: buf.readUInt16LE(body),
+        channels: buf.readUInt16LE(body + 2),
+        sampleRate: buf.readUInt32LE(body + 4),
+        byteRate: buf.readUInt32LE(body + 8),
+        blockAlign: buf.readUInt16LE(body + 12),
+        bitsPerSample: buf.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      if (!fmt) return null;
+      // Streaming recorders often leave the size at 0 / 0xFFFFFFFF; trust the buffer instead
+      const dataBytes = size === 0 || size === 0xffffffff || body + size > buf.length ? buf.length - body : size;
+      return {
+        ...fmt,
+        dataOffset: body,
+        dataBytes,
+        duration: fmt.byteRate ? dataBytes / fmt.byteRate : null
+      };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+// 16-bit PCM only: peak amplitude below ~-60 dBFS counts as silence
+function isSilentPcm16(buf, wav) {
+  const end = Math.min(buf.length - 1, wav.dataOffset + wav.dataBytes);
+  let peak = 0;
+  for (let i = wav.dataOffset; i < end; i += 2) {
+    const v = Math.abs(buf.readInt16LE(i));
+    if (v > peak) peak = v;
+    if (peak > 32) return false;
+  }
+  return true;
+}
+
+const MP3_BITRATES_V1_L3 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2_L3 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+
+// Rough MP3 duration from the first frame's bitrate (exact for CBR, close enough for limits)
+function estimateMp3Duration(buf) {
+  let i = 0;
+  if (ascii(buf, 0, 3) === 'ID3') {
+    i = 10 + ((buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9]);
+  }
+  const end = Math.min(buf.length - 4, i + 4096);
+  for (; i < end; i++) {
+    if (!isMp3FrameSync(buf, i)) continue;
+    const v1 = (buf[i + 1] & 0x18) === 0x18;
+    const kbps = (v1 ? MP3_BITRATES_V1_L3 : MP3_BITRATES_V2_L3)[buf[i + 2] >> 4];
+    if (!kbps) return null;
+    return ((buf.length - i) * 8) / (kbps * 1000);
+  }
+  return null;
+}
+
+function limits() {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+  return {
+    minSec: num(process.env.STT_MIN_DURATION_SEC, 0.3),
+    maxSec: num(process.env.STT_MAX_DURATION_SEC, 2 * 60 * 60)
+  };
+}
+
+function reject(status, error, info = {}) {
+  return { ok: false, status, error, info };
+}
+
+/**
+ * Validate an audio buffer for STT. Returns { ok: true, info } or { ok: false, status, error, info }
+ * with 415 for formats we don't accept and 422 for empty, silent or out-of-range recordings.
+ * `info.mimeType` is the sniffed type to send upstream.
+ */
+export function validateAudio(buf) {
+  if (!buf || buf.length === 0) return reject(422, 'Audio file is empty');
+  if (buf.length < MIN_BYTES) return reject(422, 'Audio file is too small to contain speech', { bytes: buf.length });
+
+  const format = sniffAudioFormat(buf);
+  if (!format) return reject(415, 'Unsupported audio format (expected WAV, MP3, OGG/Opus, WebM, FLAC or M4A)');
+
+  const info = { format, mimeType: MIME[format], bytes: buf.length, duration: null };
+
+  if (format === 'wav') {
+    const wav = parseWavHeader(buf);
+    if (!wav) return reject(422, 'Malformed WAV header', info);
+    Object.assign(info, {
+      duration: wav.duration,
+      sampleRate: wav.sampleRate,
+      channels: wav.channels,
+      bitsPerSample: wav.bitsPerSample
+    });
+    if (wav.dataBytes <= 0) return reject(422, 'WAV file has no audio data', info);
+    if (wav.audioFormat === 1 && wav.bitsPerSample === 16 && isSilentPcm16(buf, wav)) {
+      return reject(422, 'Audio appears to be silent', info);
+    }
+  } else if (format === 'mp3') {
+    info.duration = estimateMp3Duration(buf);
+  }
+
+  const { minSec, maxSec } = limits();
+  if (info.duration !== null && info.duration < minSec) {
+    return reject(422, `Audio is too short (${info.duration.toFixed(2)}s < ${minSec}s)`, info);
+  }
+  if (info.duration !== null && info.duration > maxSec) {
+    return reject(422, `Audio is too long (${Math.round(info.duration)}s > ${maxSec}s)`, info);
+  }
+  return { ok: true, info };
+}
@@ -0,0 +1,171 @@
+// src/chunker.js
+// Splits KB text into size-bounded chunks and decides which documents fit in the prompt
+// and which go to RAG (`usage_mode: "auto"`).
+
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULTS = {
+  promptBudgetTokens: 8000,
+  chunkTokens: 2000,
+  overlapTokens: 200
+};
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+// env defaults, then per-project (project.json "kb") overrides
+export function chunkingOptions(overrides = {}) {
+  const num = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+  return {
+    promptBudgetTokens: num(overrides.promptBudgetTokens, num(process.env.KB_PROMPT_BUDGET_TOKENS, DEFAULTS.promptBudgetTokens)),
+    chunkTokens: num(overrides.chunkTokens, num(process.env.KB_CHUNK_TOKENS, DEFAULTS.chunkTokens)),
+    overlapTokens: num(overrides.overlapTokens, num(process.env.KB_CHUNK_OVERLAP_TOKENS, DEFAULTS.overlapTokens))
+  };
+}
+
+const HEADING = /^(#{1,6}\s+\S|[A-Z0-9][A-Z0-9 &/,:()-]{2,80}$|\d+(\.\d+)*\.?\s+[A-Z])/;
+
+function isHeading(block) {
+  const first = block.split('\n')[0].trim();
+  return first.length <= 100 && HEADING.test(first);
+}
+
+// Paragraph-sized blocks; a heading stays glued to the paragraph that follows it
+function toBlocks(text) {
+  const paras = String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/).map(p => p.trim()).filter(Boolean);
+  const blocks = [];
+  for (const p of paras) {
+    const prev = blocks[blocks.length - 1];
+    if (prev && isHeading(prev) && !prev.includes('\n')) blocks[blocks.length - 1] = `${prev}\n${p}`;
+    else blocks.push(p);
+  }
+  return blocks;
+}
+
+// Break an oversized block at sentence ends, then at whitespace as a last resort
+function splitLong(block, maxChars) {
+  const sentences = block.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [block];
+  const out = [];
+  let cur = '';
+  for (const s of sentences) {
+    if (cur && cur.length + s.length > maxChars) { out.push(cur.trim()); cur = ''; }
+    if (s.length > maxChars) {
+      for (let i = 0; i < s.length; i += maxChars) {
+        const piece = s.slice(i, i + maxChars);
+        if (piece.trim()) out.push(piece.trim());
+      }
+      continue;
+    }
+    cur += s;
+  }
+  if (cur.trim()) out.push(cur.trim());
+  return out;
+}
+
+function overlapTail(text, overlapChars) {
+  if (overlapChars <= 0 || text.length <= overlapChars) return '';
+  const tail = text.slice(-overlapChars);
+  // Start the overlap on a paragraph, a sentence, or at least a word boundary
+  const para = tail.indexOf('\n\n');
+  if (para >= 0) return tail.slice(para).trim();
+  const sentence = tail.search(/[.!?]\s+\S/);
+  if (sentence >= 0) return tail.slice(sentence + 1).trim();
+  const space = tail.search(/\s/);
+  return space >= 0 ? tail.slice(space).trim() : tail.trim();
+}
+
+/**
+ * Split `text` into chunks of at most ~chunkTokens, starting new chunks at headings where that
+ * doesn't leave a tiny chunk, and repeating ~overlapTokens of context at the start of each chunk.
+ */
+export function chunkText(text, { chunkTokens = DEFAULTS.chunkTokens, overlapTokens = DEFAULTS.overlapTokens } = {}) {
+  const maxChars = chunkTokens * CHARS_PER_TOKEN;
+  const overlapChars = Math.min(overlapTokens * CHARS_PER_TOKEN, Math.floor(maxChars / 2));
+  if (String(text).length <= maxChars) return [String(text).trim()].filter(Boolean);
+
+  const chunks = [];
+  let cur = '';
+  let fresh = false; // cur holds more than the carried-over overlap
+  const flush = () => {
+    if (!fresh) return;
+    chunks.push(cur.trim());
+    cur = overlapTail(cur, overlapChars);
+    fresh = false;
+  };
+
+  for (const block of toBlocks(text)) {
+    const pieces = block.length > maxChars - overlapChars ? splitLong(block, maxChars - overlapChars) : [block];
+    for (const piece of pieces) {
+      const headingBreak = isHeading(piece) && cur.length > maxChars / 2;
+      if (cur && (cur.length + piece.length + 2 > maxChars || headingBreak)) flush();
+      cur = cur ? `${cur}\n\n${piece}` : piece;
+      fresh = true;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Split text into sections at headings: [{ title, text }]. Text before the first heading
+ * becomes an untitled leading section.
+ */
+export function splitSections(text) {
+  const sections = [];
+  for (const block of toBlocks(text)) {
+    if (isHeading(block) || !sections.length) {
+      const title = isHeading(block) ? block.split('\n')[0].replace(/^#+\s*/, '').trim() : '';
+      sections.push({ title, text: block });
+    } else {
+      sections[sections.length - 1].text += `\n\n${block}`;
+    }
+  }
+  return sections;
+}
+
+/**
+ * Plan how documents ([{ name, text, usage_mode? }]) are attached to the agent.
+ * Oversized documents are split into "<name> (part i of n)"; whole documents go into the prompt
+ * in order while they fit the budget, everything else uses RAG. An explicit usage_mode wins.
+ */
+export function planKnowledgeBase(documents, options = {}) {
+  const opts = chunkingOptions(options);
+  let promptTokens = 0;
+  const planned = [];
+
+  for (const doc of documents) {
+    const tokens = estimateTokens(doc.text);
+    const parts = tokens > opts.chunkTokens ? chunkText(doc.text, opts) : [doc.text];
+    parts.forEach((text, i) => {
+      const partTokens = estimateTokens(text);
+      let usageMode = doc.usage_mode;
+      if (!usageMode) {
+        const fits = parts.length === 1 && promptTokens + partTokens <= opts.promptBudgetTokens;
+        usageMode = fits ? 'prompt' : 'auto';
+      }
+      if (usageMode === 'prompt') promptTokens += partTokens;
+      const suffix = parts.length > 1 ? `part ${i + 1} of ${parts.length}` : '';
+      planned.push({
+        name: doc.name && suffix ? `${doc.name} (${suffix})` : doc.name || suffix,
+        source: doc.name,
+        text,
+        tokens: partTokens,
+        usage_mode: usageMode,
+        ...(parts.length > 1 ? { chunk: i + 1, chunks: parts.length } : {})
+      });
+    });
+  }
+
+  return { options: opts, promptTokens, documents: planned };
+}
+
+// The plan without document text, for API responses
+export function summarizePlan(plan) {
+  return {
+    ...plan.options,
+    promptTokens: plan.promptTokens,
+    totalTokens: plan.documents.reduce((n, d) => n + d.tokens, 0),
+    documents: plan.documents.map(({ text, ...d }) => d)
+  };
+}
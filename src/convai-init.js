@@ -0,0 +1,58 @@
+// src/convai-init.js
+// The `conversation_initiation_client_data` message that lets one ConvAI agent serve many projects:
+// dynamic variables from project metadata, plus prompt / first message / language overrides.
+// Overrides are only included when the project sets them, since the agent must allow each one
+// (Security → Overrides in the ElevenLabs dashboard) or the conversation is refused.
+import { estimateTokens, chunkingOptions } from './chunker.js';
+
+const KB_PLACEHOLDER = /\{\{\s*knowledge_base\s*\}\}/g;
+
+// Dynamic variables must be flat strings, numbers or booleans
+function flatVariables(vars) {
+  const out = {};
+  for (const [k, v] of Object.entries(vars || {})) {
+    if (!/^[A-Za-z_][\w]*$/.test(k)) continue;
+    if (['string', 'number', 'boolean'].includes(typeof v)) out[k] = v;
+    else if (v != null) out[k] = JSON.stringify(v);
+  }
+  return out;
+}
+
+// KB text cut to the project's prompt budget so the override can't blow the context window
+function fitToBudget(text, budgetTokens) {
+  if (estimateTokens(text) <= budgetTokens) return text;
+  const cut = text.slice(0, budgetTokens * 4);
+  const para = cut.lastIndexOf('\n\n');
+  return (para > cut.length / 2 ? cut.slice(0, para) : cut).trim();
+}
+
+/**
+ * Build the init message for a project ({ project: publicMeta, title, documents, text } from
+ * loadDocuments/assembleKB). A `{{knowledge_base}}` placeholder in convai.prompt is filled
+ * with the project's KB text, trimmed to its prompt budget.
+ */
+export function buildInitiationClientData({ project, title, documents = [], text = '' }) {
+  const convai = project.convai || {};
+  const dynamic_variables = {
+    project: project.key,
+    project_title: title || project.title,
+    project_description: project.description || '',
+    project_tags: (project.tags || []).join(', '),
+    kb_documents: documents.map(d => d.name).join(', '),
+    ...flatVariables(convai.dynamicVariables)
+  };
+
+  const agent = {};
+  if (convai.prompt) {
+    const budget = chunkingOptions(project.kb).promptBudgetTokens;
+    agent.prompt = { prompt: convai.prompt.replace(KB_PLACEHOLDER, () => fitToBudget(text, budget)) };
+  }
+  if (convai.firstMessage) agent.first_message = convai.firstMessage;
+  if (convai.language) agent.language = String(convai.language).toLowerCase();
+
+  return {
+    type: 'conversation_initiation_client_data',
+    dynamic_variables,
+    ...(Object.keys(agent).length ? { conversation_config_override: { agent } } : {})
+  };
+}
@@ -0,0 +1,560 @@
+// src/convai-proxy.js
+// One proxied ConvAI session, shared by the Worker (src/worker.js) and the Node server
+// (src/ws-proxy.js) so message normalization, keepalive, inactivity timeout, reconnection and
+// error semantics can't drift between runtimes. No Node built-ins or Workers-only APIs here.
+//
+// Both runtimes hand over socket adapters:
+//   { isOpen(), send(data), close(code, reason), onMessage(fn(data)), onClose(fn({ code, reason })), onError(fn(err)) }
+// and a connect() that opens a fresh upstream socket (new signed URL each call):
+//   -> { ok: true, upstream } | { ok: false, status, errorMessage, errorBody, closeCode, closeReason }
+import { createConversationRecorder } from "./conversations.js";
+import { createElevenLabsClient } from "./elevenlabs-client.js";
+
+const PING_INTERVAL_MS = 25000;
+const HEALTH_CHECK_MS = 45000;
+const INACTIVITY_TIMEOUT_MS = 90000;
+
+// Upstream reconnection (WS_RECONNECT_MAX_ATTEMPTS, 0 = off) and the client traffic held meanwhile
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 8000;
+const RECONNECT_BUFFER_BYTES = 512 * 1024;
+const RECONNECT_CONTEXT_TURNS = 12;
+// Abnormal closes worth retrying; 1000 (conversation ended) and 1008 (policy) are final
+const RECONNECT_CLOSE_CODES = [1001, 1005, 1006, 1011, 1012, 1013, 1014];
+
+export function reconnectAttempts(env) {
+  const n = Number(env.WS_RECONNECT_MAX_ATTEMPTS);
+  return env.WS_RECONNECT_MAX_ATTEMPTS !== undefined && Number.isFinite(n) && n >= 0 ? n : 5;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// `endpoint` is elevenLabsEndpoint(env) from src/elevenlabs-endpoint.js
+export const publicAgentUrl = (endpoint, agentId) =>
+  `${endpoint.ws}/v1/convai/conversation?agent_id=${encodeURIComponent(agentId)}`;
+
+// Public agent URLs (no signature) authenticate the upgrade with the API key header
+export const needsApiKeyHeader = (signedUrl) =>
+  signedUrl.includes("conversation?agent_id=") && !signedUrl.includes("token=") && !signedUrl.includes("conversation_signature=");
+
+// Signed ConvAI URL, falling back to the public agent endpoint
+// (one quick retry only: the session's own reconnect loop backs off on top of this)
+export async function getSignedUrl({ apiKey, endpoint, agentId }) {
+  try {
+    console.log("🔐 Getting signed URL for ConvAI...");
+    const signedUrl = await createElevenLabsClient({ apiKey, endpoint })
+      .getSignedUrl(agentId, { timeoutMs: 5000, retries: 1 });
+    console.log("✅ Got signed URL successfully");
+    return signedUrl;
+  } catch (e) {
+    console.error("❌ Error getting signed URL:", e.status || "", e.message);
+    console.log("🔄 Using public agent fallback");
+    return publicAgentUrl(endpoint, agentId);
+  }
+}
+
+// connect() result for a refused upgrade
+export function upgradeFailure(status, errorBody = "") {
+  console.error(`❌ WebSocket upgrade failed: ${status} ${errorBody}`);
+  const errorMessage = status === 403
+    ? "Authentication failed - check API key and agent permissions"
+    : status === 404
+    ? "Agent not found - verify agent ID"
+    : `Connection failed: ${status} ${errorBody}`;
+  return { ok: false, status, errorMessage, errorBody, closeCode: 1008, closeReason: "Connection failed" };
+}
+
+// Recent turns as plain text, replayed to a fresh upstream so the agent picks up where it was
+export function transcriptContext(record) {
+  const turns = record.events
+    .filter(e => e.type === "user_transcript" || e.type === "user_message" || e.type === "agent_response")
+    .slice(-RECONNECT_CONTEXT_TURNS)
+    .map(e => `${e.type === "agent_response" ? "Agent" : "User"}: ${e.text}`);
+  if (!turns.length) return "";
+  return `The connection was briefly interrupted. Continue the conversation from here without greeting the user again. Conversation so far:\n${turns.join("\n")}`;
+}
+
+/**
+ * ElevenLabs message -> what the client gets: audio events flattened to
+ * { type: "audio", audio_base_64, mime }, pongs swallowed (null), everything else as-is.
+ */
+export function normalizeUpstreamMessage(data, parsed) {
+  if (!parsed) return data;
+  if (parsed.type === 'pong') return null;
+  const audioB64 = parsed?.audio_base_64 ||
+                 parsed?.audio_event?.audio_base_64 ||
+                 parsed?.data?.audio_base_64;
+  if (audioB64) {
+    const mime = parsed?.mime ||
+               parsed?.audio_event?.mime ||
+               parsed?.data?.mime ||
+               'audio/mpeg';
+    return JSON.stringify({ type: 'audio', audio_base_64: audioB64, mime });
+  }
+  return data;
+}
+
+/**
+ * Run one session over an already-open client socket. Resolves once the first upstream
+ * connection is up ({ ok: true }) or has failed ({ ok: false, status, errorMessage }, client
+ * already told and closed). `onEnd` runs when the session is torn down, possibly more than once.
+ */
+export async function runProxySession({
+  client: server,
+  connect,
+  clientData: clientDataPromise,
+  project,
+  agentId,
+  model,
+  store,
+  waitUntil = (p) => p,
+  maxSessionSec = 0,
+  maxReconnects = 5,
+  onEnd = () => {}
+}) {
+  // Connection management variables
+  let pingInterval;
+  let healthCheckInterval;
+  let sessionTimer;
+  let reconnecting = false;
+  let lastActivity = Date.now();
+  let connectionStartTime = Date.now();
+
+  // Cleanup function
+  const cleanup = () => {
+    if (pingInterval) {
+      clearInterval(pingInterval);
+      pingInterval = null;
+    }
+    if (healthCheckInterval) {
+      clearInterval(healthCheckInterval);
+      healthCheckInterval = null;
+    }
+    if (sessionTimer) {
+      clearTimeout(sessionTimer);
+      sessionTimer = null;
+    }
+    onEnd();
+    console.log("🧹 Cleaned up intervals");
+  };
+
+  let upstream;
+  try {
+    const opened = await connect();
+    if (!opened.ok) {
+      cleanup();
+      server.send(JSON.stringify({
+        type: "error",
+        text: opened.errorMessage,
+        status: opened.status,
+        details: opened.errorBody
+      }));
+      server.close(opened.closeCode, opened.closeReason);
+      return { ok: false, status: opened.status, errorMessage: opened.errorMessage };
+    }
+    upstream = opened.upstream;
+  } catch (connectionError) {
+    console.error("❌ WebSocket connection failed:", connectionError.message);
+    cleanup();
+    server.send(JSON.stringify({
+      type: "error",
+      text: `Connection failed: ${connectionError.message}`
+    }));
+    server.close(1011, "Connection failed");
+    return { ok: false, status: 502, errorMessage: "Connection failed" };
+  }
+
+  lastActivity = Date.now();
+  connectionStartTime = Date.now();
+
+  console.log("✅ WebSocket connection established successfully");
+
+  // Project-specific variables and overrides must arrive before the conversation starts
+  const clientData = await clientDataPromise;
+  upstream.send(JSON.stringify(clientData));
+  console.log("📋 Sent client data:", {
+    project,
+    dynamic_variables: Object.keys(clientData.dynamic_variables || {}),
+    overrides: Object.keys(clientData.conversation_config_override?.agent || {})
+  });
+
+  // Transcript capture; written at start, on each health check and when either side closes
+  const recorder = createConversationRecorder({ project, agentId, model });
+  const persist = () => {
+    waitUntil(store.put(recorder.record).catch(e => console.error("⚠️ Failed to save transcript:", e.message)));
+  };
+  const endConversation = (info) => {
+    if (recorder.record.status === "ended") return;
+    recorder.end(info);
+    persist();
+    console.log("📝 Saved transcript:", recorder.record.id, recorder.record.events.length, "events");
+  };
+  persist();
+
+  // Send connection success message
+  server.send(JSON.stringify({
+    type: "info",
+    text: "Connected to ElevenLabs ConvAI",
+    project,
+    agent_id: agentId.substring(0, 12) + "...",
+    timestamp: new Date().toISOString()
+  }));
+
+  // *** KEEPALIVE SYSTEM ***
+
+  // Send ping every 25 seconds to keep connection alive
+  pingInterval = setInterval(() => {
+    if (reconnecting) return;
+    if (upstream.isOpen()) {
+      try {
+        console.log("🏓 Sending keepalive ping to ElevenLabs");
+        upstream.send(JSON.stringify({ type: "ping", timestamp: Date.now() }));
+        lastActivity = Date.now();
+      } catch (e) {
+        console.error("⚠️ Ping failed:", e.message);
+        cleanup();
+      }
+    } else {
+      console.log("🔌 Upstream not open, stopping ping");
+      cleanup();
+    }
+  }, PING_INTERVAL_MS);
+
+  // Health check every 45 seconds
+  healthCheckInterval = setInterval(() => {
+    const timeSinceLastActivity = Date.now() - lastActivity;
+    const connectionDuration = Date.now() - connectionStartTime;
+    persist();
+
+    console.log("🔍 Health check:", {
+      timeSinceLastActivity: Math.round(timeSinceLastActivity / 1000) + "s",
+      connectionDuration: Math.round(connectionDuration / 1000) + "s",
+      upstreamState: reconnecting ? "RECONNECTING" : upstream.isOpen() ? "OPEN" : "CLOSED",
+      serverState: server.isOpen() ? "OPEN" : "CLOSED"
+    });
+
+    // If no activity for 90 seconds, close connection
+    if (timeSinceLastActivity > INACTIVITY_TIMEOUT_MS) {
+      console.log("💀 Connection appears inactive, closing");
+      cleanup();
+      endConversation({ code: 1000, reason: "Inactivity timeout", by: "proxy" });
+      server.send(JSON.stringify({
+        type: "error",
+        text: "Connection timeout due to inactivity"
+      }));
+      server.close(1000, "Inactivity timeout");
+      return;
+    }
+
+    // Send connection stats every 2 minutes
+    if (connectionDuration > 0 && connectionDuration % 120000 < HEALTH_CHECK_MS) {
+      server.send(JSON.stringify({
+        type: "info",
+        text: `Connection active for ${Math.round(connectionDuration / 60000)} minutes`,
+        stats: {
+          duration: connectionDuration,
+          lastActivity: timeSinceLastActivity
+        }
+      }));
+    }
+  }, HEALTH_CHECK_MS);
+
+  // *** MESSAGE FORWARDING ***
+
+  // ElevenLabs → Client
+  const onUpstreamMessage = (data) => {
+    try {
+      lastActivity = Date.now(); // Update activity timestamp
+      let parsed = null;
+
+      if (typeof data === 'string') {
+        try {
+          parsed = JSON.parse(data);
+          recorder.upstream(parsed);
+        } catch (parseError) {
+          console.log("📨 Non-JSON message from upstream");
+        }
+      }
+
+      const outgoing = normalizeUpstreamMessage(data, parsed);
+      if (outgoing === null) {
+        console.log("🏓 Received pong from ElevenLabs");
+        return;
+      }
+      if (outgoing !== data) {
+        console.log("🔊 Forwarding audio to client");
+      } else if (parsed && !parsed.conversation_initiation_metadata &&
+          !parsed.conversation_initiation_metadata_event &&
+          parsed.type && !['ping', 'pong'].includes(parsed.type)) {
+        // Log interesting message types (skip metadata noise)
+        console.log("📨 Message type:", parsed.type);
+      }
+
+      server.send(outgoing);
+    } catch (e) {
+      console.error("❌ Error forwarding upstream message:", e.message);
+    }
+  };
+
+  // Client message → what to send upstream, or null when the proxy handles it itself
+  const clientToUpstream = (data) => {
+    if (typeof data !== 'string') return data;
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (parseError) {
+      return data;
+    }
+    recorder.client(message);
+
+    // Handle client ping
+    if (message.type === 'ping') {
+      console.log("🏓 Received ping from client, sending pong");
+      server.send(JSON.stringify({ type: "pong", timestamp: Date.now() }));
+      return null;
+    }
+
+    // The proxy already sent the project's client data; a second one would be rejected
+    if (message.type === 'conversation_initiation_client_data') {
+      console.log("⏭️ Ignoring client-sent conversation_initiation_client_data");
+      server.send(JSON.stringify({
+        type: "info",
+        text: "conversation_initiation_client_data is set by the proxy per project"
+      }));
+      return null;
+    }
+
+    // Convert client messages to ElevenLabs ConvAI format
+    if (message.user_audio_chunk) {
+      const audioData = message.user_audio_chunk.audio_base_64 || message.user_audio_chunk;
+      console.log("🎤 Forwarding audio to ElevenLabs");
+      return JSON.stringify({ user_audio_chunk: audioData });
+    }
+    if (message.type === 'user_message' && message.text) {
+      console.log("💬 Forwarding text to ElevenLabs:", message.text.substring(0, 50) + "...");
+      return JSON.stringify({
+        type: 'user_message',
+        text: message.text
+      });
+    }
+    console.log("📤 Forwarding message:", message.type || 'unknown');
+    return data;
+  };
+
+  // Client → ElevenLabs
+  server.onMessage((data) => {
+    try {
+      lastActivity = Date.now(); // Update activity timestamp
+      const outgoing = clientToUpstream(data);
+      if (outgoing === null) return;
+
+      if (!reconnecting && upstream.isOpen()) {
+        upstream.send(outgoing);
+      } else if (reconnecting) {
+        bufferForUpstream(outgoing);
+      } else {
+        console.log("⚠️ Attempted to send to closed upstream");
+        server.send(JSON.stringify({
+          type: 'error',
+          text: 'Connection to ElevenLabs lost'
+        }));
+      }
+    } catch (e) {
+      console.error("❌ Error forwarding client message:", e.message);
+    }
+  });
+
+  // *** CONNECTION CLEANUP HANDLERS ***
+
+  const safeClose = (ws, reason = "") => {
+    try {
+      if (ws && ws.isOpen()) {
+        ws.close();
+      }
+      if (reason) console.log("🔌 Closed:", reason);
+    } catch {}
+  };
+
+  server.onClose(({ code, reason }) => {
+    const duration = Date.now() - connectionStartTime;
+    console.log("🔌 Client disconnected:", {
+      code,
+      reason,
+      duration: Math.round(duration / 1000) + "s"
+    });
+    cleanup();
+    endConversation({ code, reason, by: "client" });
+    safeClose(upstream, "client closed");
+  });
+
+  server.onError((err) => {
+    console.error("❌ Client error:", err?.message || err);
+    cleanup();
+    endConversation({ code: 1011, reason: "client error", by: "client" });
+    safeClose(upstream, "client error");
+  });
+
+  const onUpstreamClose = ({ code, reason }) => {
+    const duration = Date.now() - connectionStartTime;
+    console.log("🔌 ElevenLabs closed:", {
+      code,
+      reason,
+      duration: Math.round(duration / 1000) + "s"
+    });
+    if (reconnecting) return;
+    if (server.isOpen() && RECONNECT_CLOSE_CODES.includes(code)) {
+      reconnect(code, reason);
+      return;
+    }
+    cleanup();
+    endConversation({ code, reason, by: "upstream" });
+    safeClose(server, "upstream closed");
+  };
+
+  const onUpstreamError = (err) => {
+    console.error("❌ ElevenLabs error:", err?.message || err);
+    if (reconnecting) return;
+    if (server.isOpen()) {
+      reconnect(1011, "upstream error");
+      return;
+    }
+    cleanup();
+    endConversation({ code: 1011, reason: "upstream error", by: "upstream" });
+    safeClose(server, "upstream error");
+  };
+
+  // Events from a replaced upstream socket are ignored
+  const attachUpstream = (ws) => {
+    ws.onMessage((data) => { if (ws === upstream) onUpstreamMessage(data); });
+    ws.onClose((evt) => { if (ws === upstream) onUpstreamClose(evt); });
+    ws.onError((err) => { if (ws === upstream) onUpstreamError(err); });
+  };
+  attachUpstream(upstream);
+
+  // *** UPSTREAM RECONNECTION ***
+
+  let pendingUpstream = [];
+  let pendingBytes = 0;
+  let droppedMessages = 0;
+
+  // Oldest client messages (mostly audio) go first once the buffer is full
+  const bufferForUpstream = (data) => {
+    const size = (d) => (typeof d === 'string' ? d.length : d.byteLength || 0);
+    pendingUpstream.push(data);
+    pendingBytes += size(data);
+    while (pendingBytes > RECONNECT_BUFFER_BYTES && pendingUpstream.length) {
+      pendingBytes -= size(pendingUpstream.shift());
+      droppedMessages++;
+    }
+  };
+
+  // Same project data as the first connection, plus the recent transcript so the agent
+  // doesn't lose track of the conversation. The greeting is always blanked: the agent's own
+  // first_message would otherwise play again even when the project doesn't override it.
+  const reconnectClientData = (context) => ({
+    ...clientData,
+    dynamic_variables: { ...clientData.dynamic_variables, previous_transcript: context },
+    conversation_config_override: {
+      ...clientData.conversation_config_override,
+      agent: { ...clientData.conversation_config_override?.agent, first_message: "" }
+    }
+  });
+
+  const reconnect = async (code, reason) => {
+    if (reconnecting) return;
+    if (!maxReconnects) {
+      cleanup();
+      endConversation({ code, reason, by: "upstream" });
+      safeClose(server, "upstream closed");
+      return;
+    }
+    reconnecting = true;
+    const droppedAt = Date.now();
+    safeClose(upstream);
+
+    for (let attempt = 1; attempt <= maxReconnects && server.isOpen(); attempt++) {
+      const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+      console.log("🔁 Reconnecting to ElevenLabs:", { attempt, delay, code, reason });
+      server.send(JSON.stringify({
+        type: "reconnecting",
+        attempt,
+        max_attempts: maxReconnects,
+        delay_ms: delay,
+        code,
+        reason
+      }));
+      await sleep(delay);
+      if (!server.isOpen()) break;
+
+      try {
+        // connect() fetches a fresh signed URL every time: the previous one may have expired
+        const next = await connect();
+        if (!next.ok) {
+          console.log("⚠️ Reconnect attempt failed:", next.status, next.errorMessage);
+          // Auth and missing-agent errors won't fix themselves
+          if (next.status === 403 || next.status === 404) break;
+          continue;
+        }
+
+        upstream = next.upstream;
+        attachUpstream(upstream);
+        const context = transcriptContext(recorder.record);
+        upstream.send(JSON.stringify(reconnectClientData(context)));
+        if (context) upstream.send(JSON.stringify({ type: "contextual_update", text: context }));
+
+        const replayed = pendingUpstream.length;
+        for (const data of pendingUpstream) upstream.send(data);
+        pendingUpstream = [];
+        pendingBytes = 0;
+
+        server.send(JSON.stringify({
+          type: "reconnected",
+          attempt,
+          downtime_ms: Date.now() - droppedAt,
+          replayed_messages: replayed,
+          dropped_messages: droppedMessages
+        }));
+        console.log("✅ Reconnected to ElevenLabs:", { attempt, replayed, dropped: droppedMessages });
+        droppedMessages = 0;
+        lastActivity = Date.now();
+        reconnecting = false;
+        return;
+      } catch (e) {
+        console.error("❌ Reconnect attempt error:", e.message);
+      }
+    }
+
+    reconnecting = false;
+    pendingUpstream = [];
+    pendingBytes = 0;
+    if (!server.isOpen()) return;
+    console.log("💀 Giving up on ElevenLabs reconnection");
+    cleanup();
+    endConversation({ code, reason: reason || "upstream lost", by: "upstream" });
+    server.send(JSON.stringify({
+      type: "error",
+      text: "Connection to ElevenLabs lost"
+    }));
+    server.close(1011, "Upstream lost");
+  };
+
+  // Hard cap on call length (WS_MAX_SESSION_SEC, 0 = none)
+  if (maxSessionSec) {
+    sessionTimer = setTimeout(() => {
+      console.log("⏱️ Max session duration reached:", maxSessionSec + "s");
+      try {
+        server.send(JSON.stringify({
+          type: "error",
+          text: "Maximum session duration reached",
+          max_session_sec: maxSessionSec
+        }));
+      } catch {}
+      cleanup();
+      endConversation({ code: 1008, reason: "Max session duration", by: "proxy" });
+      try { server.close(1008, "Max session duration"); } catch {}
+      safeClose(upstream, "max session duration");
+    }, maxSessionSec * 1000);
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,183 @@
+// src/conversations.js
+// Structured transcripts of /ws sessions. Runs in the Worker (no Node built-ins).
+// A store only needs: put(record), get(id) -> record | null, list({ project, limit }) -> summaries.
+// The Worker uses a KV namespace bound as CONVERSATIONS when present, otherwise the in-memory store.
+
+const MAX_EVENTS = 2000;
+const MAX_TEXT = 4000;
+
+function clip(text) {
+  const s = String(text ?? "");
+  return s.length > MAX_TEXT ? s.slice(0, MAX_TEXT) + "…" : s;
+}
+
+export function summarizeConversation(record) {
+  const firstUser = record.events.find(e => e.type === "user_transcript" || e.type === "user_message");
+  return {
+    id: record.id,
+    conversation_id: record.conversation_id,
+    conversation_ids: record.conversation_ids,
+    project: record.project,
+    agent_id: record.agent_id,
+    status: record.status,
+    started_at: record.started_at,
+    ended_at: record.ended_at,
+    duration_ms: record.duration_ms,
+    turns: record.events.filter(e => e.type === "user_transcript" || e.type === "user_message").length,
+    first_user_text: firstUser ? firstUser.text.slice(0, 200) : null
+  };
+}
+
+/**
+ * Collects transcript events from the ConvAI messages passing through the proxy.
+ * Feed parsed upstream messages to upstream() and parsed client messages to client().
+ */
+export function createConversationRecorder({ project, agentId, model }) {
+  const startedAt = Date.now();
+  const record = {
+    id: crypto.randomUUID(),
+    // The first upstream conversation; a reconnect starts a new one, so every id is kept in order
+    conversation_id: null,
+    conversation_ids: [],
+    project,
+    agent_id: agentId,
+    model,
+    status: "active",
+    started_at: new Date(startedAt).toISOString(),
+    ended_at: null,
+    duration_ms: null,
+    close: null,
+    truncated: false,
+    events: []
+  };
+
+  const add = (type, fields) => {
+    if (record.events.length >= MAX_EVENTS) {
+      record.truncated = true;
+      return;
+    }
+    const now = Date.now();
+    record.events.push({ type, t: now - startedAt, at: new Date(now).toISOString(), ...fields });
+  };
+
+  return {
+    record,
+
+    upstream(msg) {
+      switch (msg?.type) {
+        case "conversation_initiation_metadata": {
+          const id = msg.conversation_initiation_metadata_event?.conversation_id;
+          if (id && !record.conversation_ids.includes(id)) record.conversation_ids.push(id);
+          record.conversation_id = record.conversation_ids[0] || null;
+          break;
+        }
+        case "user_transcript": {
+          const text = msg.user_transcription_event?.user_transcript;
+          if (text) add("user_transcript", { text: clip(text) });
+          break;
+        }
+        case "agent_response": {
+          const text = msg.agent_response_event?.agent_response;
+          if (text) add("agent_response", { text: clip(text) });
+          break;
+        }
+        case "agent_response_correction": {
+          const ev = msg.agent_response_correction_event || {};
+          add("agent_response_correction", {
+            text: clip(ev.corrected_agent_response),
+            original: clip(ev.original_agent_response)
+          });
+          break;
+        }
+        case "client_tool_call": {
+          const call = msg.client_tool_call || {};
+          add("tool_call", { tool_name: call.tool_name, tool_call_id: call.tool_call_id, parameters: call.parameters ?? null });
+          break;
+        }
+        case "interruption":
+          add("interruption", { reason: msg.interruption_event?.reason || null });
+          break;
+      }
+    },
+
+    client(msg) {
+      if (msg?.type === "user_message" && msg.text) {
+        add("user_message", { text: clip(msg.text) });
+      } else if (msg?.type === "client_tool_result") {
+        add("tool_result", { tool_call_id: msg.tool_call_id, result: clip(msg.result), is_error: !!msg.is_error });
+      }
+    },
+
+    end({ code, reason, by } = {}) {
+      if (record.status === "ended") return record;
+      const now = Date.now();
+      record.status = "ended";
+      record.ended_at = new Date(now).toISOString();
+      record.duration_ms = now - startedAt;
+      record.close = { code: code ?? null, reason: reason || "", by: by || null };
+      return record;
+    }
+  };
+}
+
+export function createMemoryConversationStore({ maxRecords = 200 } = {}) {
+  const records = new Map();
+  return {
+    async put(record) {
+      records.delete(record.id);
+      records.set(record.id, structuredClone(record));
+      while (records.size > maxRecords) records.delete(records.keys().next().value);
+    },
+    async get(id) {
+      const r = records.get(id);
+      return r ? structuredClone(r) : null;
+    },
+    async list({ project, limit = 50 } = {}) {
+      return [...records.values()]
+        .filter(r => !project || r.project === project)
+        .map(summarizeConversation)
+        .sort((a, b) => b.started_at.localeCompare(a.started_at))
+        .slice(0, limit);
+    }
+  };
+}
+
+// Workers KV: full record as the value, the summary as key metadata so listing needs no reads
+export function createKvConversationStore(kv, { ttlSec } = {}) {
+  const key = id => `conv:${id}`;
+  return {
+    async put(record) {
+      await kv.put(key(record.id), JSON.stringify(record), {
+        metadata: summarizeConversation(record),
+        ...(ttlSec ? { expirationTtl: ttlSec } : {})
+      });
+    },
+    async get(id) {
+      return kv.get(key(id), "json");
+    },
+    async list({ project, limit = 50 } = {}) {
+      const out = [];
+      let cursor;
+      do {
+        const page = await kv.list({ prefix: "conv:", cursor });
+        for (const k of page.keys) if (k.metadata) out.push(k.metadata);
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      return out
+        .filter(r => !project || r.project === project)
+        .sort((a, b) => String(b.started_at).localeCompare(String(a.started_at)))
+        .slice(0, limit);
+    }
+  };
+}
+
+// Lives as long as the isolate; good enough for `wrangler dev` and single-instance testing
+const memoryStore = createMemoryConversationStore();
+
+export function conversationStore(env) {
+  if (env.CONVERSATIONS) {
+    const ttl = Number(env.CONVERSATION_TTL_SEC);
+    return createKvConversationStore(env.CONVERSATIONS, { ttlSec: Number.isFinite(ttl) && ttl >= 60 ? ttl : undefined });
+  }
+  return memoryStore;
+}
@@ -0,0 +1,324 @@
+// src/elevenlabs-client.js
+// The one way to call the ElevenLabs REST API, from Node and from the Worker (global fetch only,
+// no Node built-ins). Every call gets a timeout, retries 429/5xx with exponential backoff that
+// honours Retry-After, logs the upstream request id and throws an ElevenLabsError carrying the
+// status and response body instead of a bare string.
+//
+//   const client = createElevenLabsClient({ apiKey, env: process.env });
+//   const agent = await client.getAgent(agentId);
+import { elevenLabsEndpoint } from './elevenlabs-endpoint.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 8000;
+// A longer Retry-After than this fails fast rather than holding the caller
+const RETRY_AFTER_MAX_MS = 30000;
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'PATCH'];
+const MAX_ERROR_BODY = 4000;
+
+/** Any failed ElevenLabs call. `status` is the upstream status (502 network, 504 timeout). */
+export class ElevenLabsError extends Error {
+  constructor(message, { status, body, details, requestId, method, path, attempts, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ElevenLabsError';
+    this.status = status;
+    this.body = body;          // parsed JSON when the response was JSON, else text
+    this.details = details;    // raw response text, as the routes pass it on
+    this.requestId = requestId;
+    this.method = method;
+    this.path = path;
+    this.attempts = attempts;
+    if (retryAfterMs !== undefined) this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** 429 after retries ran out (or Retry-After was too long to wait). */
+export class ElevenLabsRateLimitError extends ElevenLabsError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'ElevenLabsRateLimitError';
+  }
+}
+
+/** 401/403: bad API key or missing permission; never retried. */
+export class ElevenLabsAuthError extends ElevenLabsError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = 'ElevenLabsAuthError';
+  }
+}
+
+/** No response within the call's timeout. */
+export class ElevenLabsTimeoutError extends ElevenLabsError {
+  constructor(message, info) {
+    super(message, { status: 504, ...info });
+    this.name = 'ElevenLabsTimeoutError';
+  }
+}
+
+/** DNS, connection reset and the like: the request never got an HTTP answer. */
+export class ElevenLabsNetworkError extends ElevenLabsError {
+  constructor(message, info) {
+    super(message, { status: 502, ...info });
+    this.name = 'ElevenLabsNetworkError';
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function envNumber(env, name, fallback) {
+  const n = Number(env[name]);
+  return env[name] !== undefined && env[name] !== '' && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Retry-After as milliseconds (delta-seconds or HTTP date), or null. */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+export function backoffDelay(attempt, { baseMs = RETRY_BASE_DELAY_MS, maxMs = RETRY_MAX_DELAY_MS } = {}) {
+  // Full jitter keeps many clients from retrying in lockstep
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+const requestIdOf = (res) => res.headers.get('request-id') || res.headers.get('x-request-id') || undefined;
+
+// Human-readable reason from an ElevenLabs error body ({ detail: "..." | { message } | [{ msg }] })
+function describeBody(body, text) {
+  const detail = body?.detail;
+  if (typeof detail === 'string') return detail;
+  if (detail?.message) return detail.message;
+  if (Array.isArray(detail)) return detail.map((d) => d.msg || JSON.stringify(d)).join('; ');
+  return String(text || '').slice(0, 300);
+}
+
+async function readErrorBody(res) {
+  const text = (await res.text().catch(() => '')).slice(0, MAX_ERROR_BODY);
+  try {
+    return { text, body: JSON.parse(text) };
+  } catch {
+    return { text, body: text };
+  }
+}
+
+function errorFor(status, message, info) {
+  if (status === 429) return new ElevenLabsRateLimitError(message, info);
+  if (status === 401 || status === 403) return new ElevenLabsAuthError(message, info);
+  return new ElevenLabsError(message, info);
+}
+
+function withQuery(path, query) {
+  if (!query) return path;
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null || value === '') continue;
+    for (const v of Array.isArray(value) ? value : [value]) params.append(key, String(v));
+  }
+  const qs = params.toString();
+  return qs ? `${path}${path.includes('?') ? '&' : '?'}${qs}` : path;
+}
+
+/**
+ * Client for one API key. Options (env = process.env or a Worker env supplies the defaults):
+ *   apiKey, env, endpoint (elevenLabsEndpoint() result), timeoutMs (ELEVENLABS_TIMEOUT_MS),
+ *   maxRetries (ELEVENLABS_MAX_RETRIES), fetch, log
+ */
+export function createElevenLabsClient({
+  apiKey,
+  env = {},
+  endpoint = elevenLabsEndpoint(env),
+  timeoutMs = envNumber(env, 'ELEVENLABS_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+  maxRetries = envNumber(env, 'ELEVENLABS_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+  // Wrapped: Workers reject a detached `fetch` ("Illegal invocation")
+  fetch: fetchImpl = (...args) => fetch(...args),
+  log = (...args) => console.log(...args)
+} = {}) {
+  /**
+   * One API call. Options:
+   *   query, json, body, headers, signal
+   *   timeoutMs   per attempt; for `responseType: 'response'` only until the headers arrive
+   *   retries     overrides maxRetries
+   *   idempotent  retry 5xx, timeouts and network errors too (default: by method; 429 always retries)
+   *   responseType 'json' (default) | 'text' | 'arrayBuffer' | 'response' (caller reads the body)
+   *   what        label for error messages, e.g. "TTS"
+   */
+  async function request(method, path, options = {}) {
+    method = method.toUpperCase();
+    const {
+      query, json, body, headers = {}, signal,
+      responseType = 'json',
+      what = `${method} ${path}`,
+      retries = maxRetries,
+      idempotent = IDEMPOTENT_METHODS.includes(method)
+    } = options;
+    const callTimeoutMs = options.timeoutMs ?? timeoutMs;
+    const url = `${endpoint.http}${withQuery(path, query)}`;
+    const init = {
+      method,
+      headers: {
+        ...(apiKey ? { 'xi-api-key': apiKey } : {}),
+        ...(json !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...headers
+      },
+      body: json !== undefined ? JSON.stringify(json) : body
+    };
+    const info = { method, path };
+
+    for (let attempt = 0; ; attempt++) {
+      if (signal?.aborted) throw signal.reason ?? new DOMException('Aborted', 'AbortError');
+      const controller = new AbortController();
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      let timedOut = false;
+      const timer = callTimeoutMs > 0
+        ? setTimeout(() => { timedOut = true; controller.abort(); }, callTimeoutMs)
+        : null;
+      const done = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const started = Date.now();
+      const canRetry = attempt < retries;
+
+      let res;
+      try {
+        res = await fetchImpl(url, { ...init, signal: controller.signal });
+      } catch (e) {
+        done();
+        if (signal?.aborted) throw e;
+        const err = timedOut
+          ? new ElevenLabsTimeoutError(`${what} timed out after ${callTimeoutMs}ms`, { ...info, attempts: attempt + 1 })
+          : new ElevenLabsNetworkError(`${what} failed: ${e.message}`, { ...info, attempts: attempt + 1, cause: e });
+        if (!(idempotent && canRetry)) throw err;
+        const delay = backoffDelay(attempt);
+        log(`🔁 ElevenLabs ${method} ${path}: ${err.message}; retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+
+      const requestId = requestIdOf(res);
+      const elapsed = Date.now() - started;
+      if (res.ok) {
+        log(`📡 ElevenLabs ${method} ${path} → ${res.status} (${elapsed}ms${requestId ? `, request ${requestId}` : ''})`);
+        if (responseType === 'response') {
+          // The caller owns the body now; only the caller's signal can cut it off
+          clearTimeout(timer);
+          return res;
+        }
+        try {
+          if (responseType === 'text') return await res.text();
+          if (responseType === 'arrayBuffer') return await res.arrayBuffer();
+          if (res.status === 204) return null;
+          const text = await res.text();
+          return text ? JSON.parse(text) : null;
+        } catch (e) {
+          if (signal?.aborted) throw e;
+          if (timedOut) throw new ElevenLabsTimeoutError(`${what} timed out reading the response`, { ...info, requestId, attempts: attempt + 1 });
+          throw new ElevenLabsError(`${what} returned an unreadable response: ${e.message}`, { ...info, status: 502, requestId, attempts: attempt + 1, cause: e });
+        } finally {
+          done();
+        }
+      }
+
+      const { text, body: errorBody } = await readErrorBody(res);
+      done();
+      const retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+      const retryable = res.status === 429 || (idempotent && RETRY_STATUSES.includes(res.status));
+      log(`⚠️ ElevenLabs ${method} ${path} → ${res.status} (${elapsed}ms${requestId ? `, request ${requestId}` : ''})`);
+
+      if (retryable && canRetry && (retryAfterMs === null || retryAfterMs <= RETRY_AFTER_MAX_MS)) {
+        const delay = retryAfterMs ?? backoffDelay(attempt);
+        log(`🔁 Retrying ElevenLabs ${method} ${path} (${attempt + 1}/${retries}) in ${delay}ms`);
+        await sleep(delay);
+        continue;
+      }
+      throw errorFor(res.status, `${what} failed: ${res.status} ${describeBody(errorBody, text)}`.trim(), {
+        ...info,
+        status: res.status,
+        body: errorBody,
+        details: text,
+        requestId,
+        attempts: attempt + 1,
+        ...(retryAfterMs !== null ? { retryAfterMs } : {})
+      });
+    }
+  }
+
+  return {
+    endpoint,
+    request,
+
+    // --- ConvAI agents ---
+    getAgent: (agentId, opts) =>
+      request('GET', `/v1/convai/agents/${encodeURIComponent(agentId)}`, { what: 'Agent fetch', ...opts }),
+    patchAgent: (agentId, patch, opts) =>
+      request('PATCH', `/v1/convai/agents/${encodeURIComponent(agentId)}`, { json: patch, what: 'Agent update', ...opts }),
+
+    // --- knowledge base ---
+    listKnowledgeBase: ({ agentId, pageSize = 100 } = {}, opts) =>
+      request('GET', '/v1/convai/knowledge-base', { query: { agent_id: agentId, page_size: pageSize }, what: 'KB list', ...opts }),
+    // Not retried on 5xx: a lost response could mean a created document
+    createTextDocument: ({ agentId, name, text }, opts) =>
+      request('POST', '/v1/convai/knowledge-base/text', {
+        query: { agent_id: agentId },
+        json: { text, name },
+        what: 'KB document creation',
+        ...opts
+      }),
+    deleteDocument: ({ agentId, id }, opts) =>
+      request('DELETE', `/v1/convai/knowledge-base/${encodeURIComponent(id)}`, {
+        query: { agent_id: agentId },
+        responseType: 'text',
+        what: 'KB document deletion',
+        ...opts
+      }),
+    getDocumentContent: (id, opts) =>
+      request('GET', `/v1/convai/knowledge-base/${encodeURIComponent(id)}/content`, { responseType: 'text', what: 'KB document content', ...opts }),
+
+    // --- signed ConvAI URL (the documented spelling is get-signed-url) ---
+    getSignedUrl: async (agentId, opts) => {
+      const data = await request('GET', '/v1/convai/conversation/get-signed-url', { query: { agent_id: agentId }, what: 'Signed URL', ...opts });
+      if (!data?.signed_url) {
+        throw new ElevenLabsError(`no signed_url in response: ${JSON.stringify(data).slice(0, 300)}`, { status: 502, body: data });
+      }
+      return data.signed_url;
+    },
+
+    // --- speech ---
+    // Same text in, same audio out, so TTS and STT are safe to retry
+    textToSpeech: (voiceId, payload, { outputFormat, ...opts } = {}) =>
+      request('POST', `/v1/text-to-speech/${encodeURIComponent(voiceId)}`, {
+        query: { output_format: outputFormat },
+        json: payload,
+        responseType: 'arrayBuffer',
+        idempotent: true,
+        what: 'TTS',
+        ...opts
+      }),
+    // Resolves once audio starts; read `response.body` for the stream
+    streamTextToSpeech: (voiceId, payload, { outputFormat, ...opts } = {}) =>
+      request('POST', `/v1/text-to-speech/${encodeURIComponent(voiceId)}/stream`, {
+        query: { output_format: outputFormat },
+        json: payload,
+        responseType: 'response',
+        idempotent: true,
+        what: 'TTS stream',
+        ...opts
+      }),
+    speechToText: (formData, opts) =>
+      request('POST', '/v1/speech-to-text', {
+        body: formData,
+        idempotent: true,
+        timeoutMs: Math.max(timeoutMs, 120000),
+        what: 'STT API',
+        ...opts
+      })
+  };
+}
@@ -0,0 +1,28 @@
+// src/elevenlabs-endpoint.js
+// Where ElevenLabs lives, for every module and both runtimes. ELEVENLABS_BASE is either a bare
+// host ("api.elevenlabs.io", scheme from ELEVENLABS_PROTOCOL, default https) or a full origin
+// ("http://127.0.0.1:8790", e.g. the bundled mock in mock/elevenlabs.js). The WebSocket scheme
+// follows the HTTP one: https -> wss, http -> ws.
+
+export const DEFAULT_ELEVENLABS_BASE = 'api.elevenlabs.io';
+
+/** { http, ws, host } origins for `env` (process.env or a Worker env), without trailing slash. */
+export function elevenLabsEndpoint(env = {}) {
+  const raw = String(env.ELEVENLABS_BASE || DEFAULT_ELEVENLABS_BASE).trim().replace(/\/+$/, '');
+  const protocol = String(env.ELEVENLABS_PROTOCOL || 'https').toLowerCase().replace(/:$/, '');
+  if (protocol !== 'http' && protocol !== 'https') {
+    throw new Error(`ELEVENLABS_PROTOCOL must be http or https, got "${env.ELEVENLABS_PROTOCOL}"`);
+  }
+  const url = new URL(/^[a-z]+:\/\//i.test(raw) ? raw : `${protocol}://${raw}`);
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`ELEVENLABS_BASE must be an http(s) origin, got "${env.ELEVENLABS_BASE}"`);
+  }
+  const http = `${url.protocol}//${url.host}`;
+  return { http, ws: http.replace(/^http/, 'ws'), host: url.host };
+}
+
+/** Full REST URL for an API path ("/v1/..."). */
+export const elevenLabsUrl = (env, path) => `${elevenLabsEndpoint(env).http}${path}`;
+
+/** ws(s):// -> http(s):// for runtimes that upgrade through fetch (Workers). */
+export const wsToHttpUrl = (url) => url.replace(/^ws(s?):\/\//i, 'http$1://');
@@ -1,7 +1,12 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import crypto from 'node:crypto';
 import fetch from 'node-fetch';
+import { signPayload } from './webhook.js';
+import { chunkText, splitSections } from './chunker.js';
+import { mapLimit } from './concurrency.js';
+import { elevenLabsEndpoint } from './elevenlabs-endpoint.js';
+import { createElevenLabsClient } from './elevenlabs-client.js';
+import { isSafeMediaName } from './media.js';
 
 // Update your pushToElevenLabs function in src/elevenlabs.js:
 
@@ -9,16 +14,24 @@ export async function pushToElevenLabs({
     apiKey,
     mode,
     voiceId,
+    agentId,
+    ttsModelId,
+    voiceSettings,
     convaiWebhookUrl,
     convaiWebhookSecret,
+    kbProject,
     kbTitle,
     kbText,
-    outDir
+    kbDocuments,
+    kbOptions,
+    outDir,
+    onProgress
 }) {
     console.log(`🚀 Pushing to ElevenLabs - Mode: ${mode}`);
     console.log('KB Data:', { 
         title: kbTitle, 
         textLength: kbText?.length,
+        documents: kbDocuments?.length,
         hasWebhookUrl: !!convaiWebhookUrl 
     });
 
@@ -35,6 +48,12 @@ export async function pushToElevenLabs({
             timestamp: new Date().toISOString(),
             mode: 'convai'
         };
+        // Separate documents let the hook attach each source file as its own KB entry
+        if (kbDocuments?.length) payload.documents = kbDocuments;
+        if (agentId) payload.agent_id = agentId;
+        if (kbOptions) payload.kb_options = kbOptions;
+        // The project key names the agent's KB documents and the manifest; titles aren't unique
+        if (kbProject) payload.project = kbProject;
 
         // Create signature if secret is provided
         let headers = {
@@ -44,10 +63,9 @@ export async function pushToElevenLabs({
 
         if (convaiWebhookSecret) {
             const timestamp = Math.floor(Date.now() / 1000);
-            const message = `${timestamp}.${JSON.stringify(payload)}`;
-            const signature = crypto.createHmac('sha256', convaiWebhookSecret)
-                .update(message)
-                .digest('hex');
+            // With rotated secrets configured, always sign with the newest (first) one
+            const [currentSecret] = convaiWebhookSecret.split(',').map(s => s.trim());
+            const signature = signPayload(currentSecret, timestamp, JSON.stringify(payload));
             
             headers['elevenlabs-signature'] = `t=${timestamp},v0=${signature}`;
             console.log('🔐 Added webhook signature');
@@ -68,6 +86,9 @@ export async function pushToElevenLabs({
                 body: responseText
             });
 
+            let responseJson;
+            try { responseJson = JSON.parse(responseText); } catch {}
+
             if (!response.ok) {
                 throw new Error(`Webhook request failed: ${response.status} ${response.statusText} - ${responseText}`);
             }
@@ -81,7 +102,9 @@ export async function pushToElevenLabs({
                     status: response.status,
                     message: 'Knowledge base updated via webhook',
                     title: kbTitle,
-                    contentLength: kbText.length
+                    contentLength: kbText.length,
+                    documents: kbDocuments?.length || 1,
+                    sync: responseJson?.details
                 }
             };
 
@@ -101,15 +124,21 @@ export async function pushToElevenLabs({
         const fileName = await ttsToFile({
             apiKey,
             voiceId,
+            modelId: ttsModelId,
+            voiceSettings,
+            name: kbProject,
             title: kbTitle,
             text: kbText,
-            outDir
+            outDir,
+            onProgress
         });
         
         return {
             mode: 'tts',
             success: true,
+            fileName,
             file: `/media/${fileName}`,
+            chapters: `/media/${chaptersFileFor(fileName)}`,
             message: 'TTS file generated successfully'
         };
     }
@@ -117,34 +146,196 @@ export async function pushToElevenLabs({
     throw new Error(`Unknown mode: ${mode}`);
 }
 
-export async function ttsToFile({ apiKey, voiceId, title, text, outDir }) {
-    await fs.mkdir(outDir, { recursive: true });
-    const res = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-        method: 'POST',
-        headers: { 'xi-api-key': apiKey, 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            text: `[${title}] Knowledge Base:\n\n${text}`,
-            model_id: 'eleven_multilingual_v2',
-            optimize_streaming_latency: 0,
-            voice_settings: { stability: 0.3, similarity_boost: 0.75 }
-        })
+// Per-request character cap; stays under the model limits with room for the title intro
+const TTS_MAX_CHARS = Number(process.env.TTS_MAX_CHARS) || 4500;
+const TTS_CONCURRENCY = Number(process.env.TTS_CONCURRENCY) || 2;
+// Constant bitrate so chunk byte lengths translate directly into durations
+const TTS_OUTPUT_FORMAT = 'mp3_44100_128';
+const TTS_KBPS = 128;
+
+// Drop ID3v2 header / ID3v1 trailer so chunk MP3s concatenate into one clean stream
+function stripId3(buf) {
+    let start = 0;
+    let end = buf.length;
+    if (buf.length > 10 && buf.toString('latin1', 0, 3) === 'ID3') {
+        const size = (buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9];
+        start = 10 + size + (buf[5] & 0x10 ? 10 : 0);
+    }
+    if (end - start > 128 && buf.toString('latin1', end - 128, end - 125) === 'TAG') end -= 128;
+    return buf.subarray(start, end);
+}
+
+// Sections at headings, each split into request-sized chunks, so every chapter starts on a chunk
+function planSpeechChunks(title, text) {
+    const chunks = [];
+    const sections = splitSections(text);
+    sections.forEach((section, s) => {
+        const parts = chunkText(section.text, { chunkTokens: Math.floor(TTS_MAX_CHARS / 4), overlapTokens: 0 });
+        if (s === 0 && parts.length) parts[0] = `[${title}] Knowledge Base:\n\n${parts[0]}`;
+        parts.forEach(part => chunks.push({ section: s, text: part }));
     });
-    if (!res.ok) {
-        const t = await res.text();
-        throw new Error(`TTS failed: ${res.status} ${t}`);
+    return { sections, chunks };
+}
+
+async function synthesizeChunk({ apiKey, voiceId, modelId, voiceSettings, text, previousText, nextText }) {
+    const audio = await createElevenLabsClient({ apiKey, env: process.env }).textToSpeech(voiceId, {
+        text,
+        model_id: modelId || 'eleven_multilingual_v2',
+        optimize_streaming_latency: 0,
+        voice_settings: voiceSettings || { stability: 0.3, similarity_boost: 0.75 },
+        // Neighbouring text keeps intonation continuous across chunk seams
+        previous_text: previousText || undefined,
+        next_text: nextText || undefined
+    }, { outputFormat: TTS_OUTPUT_FORMAT });
+    return stripId3(Buffer.from(audio));
+}
+
+// File name base for a project's audio. Titles and slugs come from project.json, which can be
+// uploaded, so keep only [\w.-]: no separators, no traversal, no dotfiles.
+export function mediaBaseName(name) {
+    const base = String(name || '').replace(/\s+/g, '_').replace(/[^\w.-]+/g, '').replace(/^\.+/, '').slice(0, 200);
+    return base || 'kb';
+}
+
+/**
+ * Synthesize a (possibly very long) KB to `<outDir>/<name>.mp3`, plus `<name>.json` with
+ * chapter offsets (seconds and bytes) so players can seek by section. `name` is the project key
+ * (the title when absent), cleaned by mediaBaseName. Returns the mp3 file name.
+ */
+export async function ttsToFile({ apiKey, voiceId, modelId, voiceSettings, name, title, text, outDir, onProgress }) {
+    const base = mediaBaseName(name || title);
+    const fileName = `${base}.mp3`;
+    const sidecar = `${base}.json`;
+    const dir = path.resolve(outDir);
+    for (const file of [fileName, sidecar]) {
+        if (!isSafeMediaName(file) || path.dirname(path.resolve(dir, file)) !== dir) {
+            throw new Error(`unsafe media file name: ${file}`);
+        }
     }
-    const buf = Buffer.from(await res.arrayBuffer());
-    const fileName = `${title.replace(/\s+/g, '_')}.mp3`;
-    await fs.writeFile(path.join(outDir, fileName), buf);
+
+    await fs.mkdir(outDir, { recursive: true });
+    const { sections, chunks } = planSpeechChunks(title, text);
+    console.log('🎵 TTS plan:', { title, sections: sections.length, chunks: chunks.length, chars: text.length });
+
+    let done = 0;
+    const audio = await mapLimit(chunks, TTS_CONCURRENCY, async (chunk, i) => {
+        const buf = await synthesizeChunk({
+            apiKey,
+            voiceId,
+            modelId,
+            voiceSettings,
+            text: chunk.text,
+            previousText: chunks[i - 1]?.text.slice(-500),
+            nextText: chunks[i + 1]?.text.slice(0, 500)
+        });
+        done++;
+        onProgress?.({ done, total: chunks.length });
+        return buf;
+    });
+
+    const bytesPerSec = (TTS_KBPS * 1000) / 8;
+    const chapters = [];
+    let offset = 0;
+    chunks.forEach((chunk, i) => {
+        const current = chapters[chapters.length - 1];
+        if (!current || current.index !== chunk.section) {
+            if (current) current.endByte = offset;
+            chapters.push({
+                index: chunk.section,
+                title: sections[chunk.section].title || title,
+                startByte: offset,
+                chars: sections[chunk.section].text.length
+            });
+        }
+        offset += audio[i].length;
+    });
+    if (chapters.length) chapters[chapters.length - 1].endByte = offset;
+
+    await fs.writeFile(path.join(dir, fileName), Buffer.concat(audio));
+    await fs.writeFile(path.join(dir, sidecar), JSON.stringify({
+        title,
+        file: fileName,
+        format: TTS_OUTPUT_FORMAT,
+        duration: +(offset / bytesPerSec).toFixed(2),
+        bytes: offset,
+        chunks: chunks.length,
+        chapters: chapters.map(({ index, title, startByte, endByte, chars }) => ({
+            title,
+            start: +(startByte / bytesPerSec).toFixed(2),
+            end: +(endByte / bytesPerSec).toFixed(2),
+            startByte,
+            endByte,
+            chars
+        }))
+    }, null, 2));
     return fileName;
 }
 
-export function makeRealtimeSessionPayload({ project, kbTitle, kbText, model, agentId }) {
+// Client-facing stream formats → ElevenLabs output_format + response Content-Type
+export const STREAM_FORMATS = {
+    mp3: { outputFormat: () => 'mp3_44100_128', contentType: () => 'audio/mpeg' },
+    pcm: {
+        rates: [16000, 22050, 24000, 44100],
+        outputFormat: rate => `pcm_${rate}`,
+        contentType: rate => `audio/L16; rate=${rate}; channels=1`
+    },
+    // 8 kHz μ-law for telephony (Twilio etc.)
+    ulaw: { outputFormat: () => 'ulaw_8000', contentType: () => 'audio/basic' }
+};
+
+export function resolveStreamFormat(format = 'mp3', sampleRate) {
+    const spec = STREAM_FORMATS[format];
+    if (!spec) throw new Error(`Unsupported format: ${format} (expected ${Object.keys(STREAM_FORMATS).join(', ')})`);
+    let rate;
+    if (spec.rates) {
+        rate = sampleRate ? Number(sampleRate) : spec.rates[0];
+        if (!spec.rates.includes(rate)) throw new Error(`Unsupported sample_rate for ${format}: ${sampleRate}`);
+    }
+    return { format, outputFormat: spec.outputFormat(rate), contentType: spec.contentType(rate) };
+}
+
+/**
+ * Stream speech for `text` as it is generated. Long text is spoken chunk by chunk in order;
+ * yields raw audio Buffers in `outputFormat`. Stops early if `signal` aborts.
+ */
+export async function* streamTts({ apiKey, voiceId, modelId, voiceSettings, text, title, outputFormat, signal }) {
+    const chunks = title
+        ? planSpeechChunks(title, text).chunks
+        : chunkText(text, { chunkTokens: Math.floor(TTS_MAX_CHARS / 4), overlapTokens: 0 }).map(t => ({ text: t }));
+
+    const client = createElevenLabsClient({ apiKey, env: process.env });
+    for (let i = 0; i < chunks.length; i++) {
+        if (signal?.aborted) return;
+        const res = await client.streamTextToSpeech(voiceId, {
+            text: chunks[i].text,
+            model_id: modelId || 'eleven_flash_v2_5',
+            voice_settings: voiceSettings || { stability: 0.3, similarity_boost: 0.75 },
+            previous_text: chunks[i - 1]?.text.slice(-500) || undefined,
+            next_text: chunks[i + 1]?.text.slice(0, 500) || undefined
+        }, { outputFormat, signal });
+        let first = true;
+        for await (const chunk of res.body) {
+            const part = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+            // Later chunks may open with their own ID3 tag; drop it so the stream stays continuous
+            yield first && i > 0 && outputFormat.startsWith('mp3') ? stripId3(part) : part;
+            first = false;
+        }
+    }
+}
+
+// Sidecar written next to an mp3 by ttsToFile
+export function chaptersFileFor(fileName) {
+    return fileName.replace(/\.mp3$/, '.json');
+}
+
+export function makeRealtimeSessionPayload({ project, kbTitle, kbText, model, agentId, clientData }) {
     return {
         provider: 'elevenlabs',
-        ws: 'wss://api.elevenlabs.io/v1/convai/ws', // swap if your endpoint differs
+        ws: `${elevenLabsEndpoint(process.env).ws}/v1/convai/ws`, // swap if your endpoint differs
         query: { model: model || 'eleven_flash_v2', agent_id: agentId || '' },
         initial_knowledge_base: { title: kbTitle, text: kbText },
+        // send as the first message when connecting directly instead of through the /ws proxy
+        ...(clientData ? { client_data: clientData } : {}),
         meta: { project }
     };
 }
\ No newline at end of file
@@ -0,0 +1,138 @@
+// src/jobs.js
+// Background jobs for slow work (/push, /tts). The in-process queue below is the default;
+// a persistent backend only needs the same shape:
+//   register(type, handler)  handler(payload, { progress({ done, total, message }) }) -> result
+//   enqueue(type, payload)   -> job
+//   get(id)                  -> job | null
+import crypto from 'node:crypto';
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const BASE_DELAY_MS = 1000;
+const MAX_JOBS_KEPT = 500;
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 1;
+
+/**
+ * Worth another try: rate limiting, ElevenLabs 5xx, and network-level failures.
+ * Errors carry `status` when they have one; older call sites only put it in the message.
+ */
+export function isTransientError(err) {
+  const status = Number(err?.status) || Number(String(err?.message || '').match(/\b(429|5\d\d)\b/)?.[1]);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+  return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT'].includes(err?.code) ||
+    err?.name === 'AbortError' || err?.name === 'TimeoutError' ||
+    /fetch failed|socket hang up|network/i.test(String(err?.message || ''));
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// What callers see; internal bookkeeping stays out of responses
+function view(job) {
+  const { payload, ...rest } = job;
+  return { ...rest };
+}
+
+export function createMemoryJobQueue() {
+  const handlers = new Map();
+  const jobs = new Map();
+  const pending = [];
+  let running = 0;
+
+  function prune() {
+    if (jobs.size <= MAX_JOBS_KEPT) return;
+    for (const [id, job] of jobs) {
+      if (jobs.size <= MAX_JOBS_KEPT) break;
+      if (job.status === 'succeeded' || job.status === 'failed') jobs.delete(id);
+    }
+  }
+
+  async function run(job) {
+    const handler = handlers.get(job.type);
+    const progress = p => {
+      job.progress = { ...job.progress, ...p };
+      job.updated_at = new Date().toISOString();
+    };
+
+    for (;;) {
+      job.attempts++;
+      job.status = 'running';
+      job.started_at = job.started_at || new Date().toISOString();
+      job.updated_at = new Date().toISOString();
+      try {
+        job.result = await handler(job.payload, { progress, job: view(job) });
+        job.status = 'succeeded';
+        job.error = null;
+        break;
+      } catch (e) {
+        job.error = String(e.message || e);
+        if (job.attempts < MAX_ATTEMPTS && isTransientError(e)) {
+          const delay = BASE_DELAY_MS * 2 ** (job.attempts - 1);
+          console.log(`🔁 Job ${job.id} attempt ${job.attempts} failed (${job.error}), retrying in ${delay}ms`);
+          job.status = 'retrying';
+          await sleep(delay);
+          continue;
+        }
+        console.error(`❌ Job ${job.id} failed:`, job.error);
+        job.status = 'failed';
+        break;
+      }
+    }
+    job.finished_at = new Date().toISOString();
+    job.updated_at = job.finished_at;
+  }
+
+  function drain() {
+    while (running < CONCURRENCY && pending.length) {
+      const job = pending.shift();
+      running++;
+      run(job).finally(() => {
+        running--;
+        drain();
+      });
+    }
+  }
+
+  return {
+    register(type, handler) {
+      handlers.set(type, handler);
+    },
+
+    async enqueue(type, payload) {
+      if (!handlers.has(type)) throw new Error(`no job handler for ${type}`);
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        progress: {},
+        attempts: 0,
+        result: null,
+        error: null,
+        created_at: now,
+        updated_at: now,
+        payload
+      };
+      jobs.set(job.id, job);
+      prune();
+      pending.push(job);
+      // Start after the response has had a chance to go out
+      setImmediate(drain);
+      return view(job);
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? view(job) : null;
+    }
+  };
+}
+
+let queue = createMemoryJobQueue();
+
+export function getJobQueue() {
+  return queue;
+}
+
+// Handlers must be registered again on the new queue
+export function setJobQueue(next) {
+  queue = next;
+}
@@ -0,0 +1,142 @@
+// src/knowledge-base.js
+// Keeps an agent's ConvAI knowledge base in step with a project's documents.
+import { createElevenLabsClient } from './elevenlabs-client.js';
+
+// Documents we manage for a project are named "<key>" or "<key> / <doc>", after the project key.
+// Anything else attached to the agent was added by hand and is left alone.
+export function isManagedName(name, namespace) {
+    return name === namespace || String(name || '').startsWith(`${namespace} / `);
+}
+
+export function documentName(namespace, docName) {
+    return docName ? `${namespace} / ${docName}` : namespace;
+}
+
+function client(apiKey) {
+    return createElevenLabsClient({ apiKey, env: process.env });
+}
+
+function getAgent({ apiKey, agentId }) {
+    return client(apiKey).getAgent(agentId);
+}
+
+function patchAgentKnowledgeBase({ apiKey, agentId, agentData, knowledgeBase }) {
+    const updatePayload = {
+        conversation_config: {
+            ...agentData.conversation_config,
+            agent: {
+                ...agentData.conversation_config?.agent,
+                prompt: {
+                    ...agentData.conversation_config?.agent?.prompt,
+                    knowledge_base: knowledgeBase
+                }
+            }
+        }
+    };
+    return client(apiKey).patchAgent(agentId, updatePayload, { what: 'KB association' });
+}
+
+function createTextDocument({ apiKey, agentId, name, text }) {
+    return client(apiKey).createTextDocument({ agentId, name, text });
+}
+
+async function deleteDocument({ apiKey, agentId, id }) {
+    try {
+        await client(apiKey).deleteDocument({ agentId, id });
+        return true;
+    } catch (e) {
+        console.log('⚠️ Could not delete KB document:', id, e.status || '', e.message);
+        return false;
+    }
+}
+
+// Returns the stored text of a document, or null if it can't be read (treated as changed)
+async function fetchDocumentContent({ apiKey, id }) {
+    try {
+        return await client(apiKey).getDocumentContent(id);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Diff `documents` ([{ name, text, hash? }]) against the agent's managed KB entries for `namespace`
+ * and apply only what changed. Entries outside the namespace are preserved untouched.
+ * With a `manifest` entry from the last push, documents whose hash and remote id still match
+ * are taken as unchanged without downloading their content.
+ */
+export async function syncAgentKnowledgeBase({ apiKey, agentId, namespace, documents, usageMode = 'prompt', manifest = null, legacyNamespaces = [] }) {
+    const agentData = await getAgent({ apiKey, agentId });
+    const attached = agentData.conversation_config?.agent?.prompt?.knowledge_base || [];
+
+    // Entries under a legacy namespace count as ours: unmatched by name, they get removed
+    const isOurs = kb => [namespace, ...legacyNamespaces].some(ns => isManagedName(kb.name, ns));
+    const preserved = attached.filter(kb => !isOurs(kb));
+    const managed = attached.filter(isOurs);
+    const managedByName = new Map(managed.map(kb => [kb.name, kb]));
+
+    console.log('🔄 Syncing KB documents:', {
+        agentId: agentId?.substring(0, 12) + '...',
+        namespace,
+        desired: documents.length,
+        managed: managed.length,
+        preserved: preserved.length
+    });
+
+    const result = { agent_id: agentId, created: [], updated: [], removed: [], unchanged: [], preserved: preserved.map(kb => kb.id), documents: {} };
+    const known = manifest?.agent_id === agentId ? manifest.documents || {} : {};
+    const nextManaged = [];
+    const superseded = [];
+
+    for (const doc of documents) {
+        const docUsageMode = doc.usageMode || usageMode;
+        const existing = managedByName.get(doc.name);
+        if (existing) {
+            managedByName.delete(doc.name);
+            const prev = known[doc.name];
+            const sameAsManifest = doc.hash && prev?.hash === doc.hash && prev.remote_id === existing.id;
+            const current = sameAsManifest ? null : await fetchDocumentContent({ apiKey, id: existing.id });
+            if (sameAsManifest || (current !== null && current.trim() === doc.text.trim())) {
+                nextManaged.push({ ...existing, usage_mode: docUsageMode });
+                result.unchanged.push(existing.id);
+                result.documents[doc.name] = { hash: doc.hash, remote_id: existing.id, usage_mode: docUsageMode };
+                continue;
+            }
+        }
+
+        const created = await createTextDocument({ apiKey, agentId, name: doc.name, text: doc.text });
+        nextManaged.push({ type: 'text', name: doc.name, id: created.id, usage_mode: docUsageMode });
+        result.documents[doc.name] = { hash: doc.hash, remote_id: created.id, usage_mode: docUsageMode };
+        if (existing) {
+            result.updated.push({ name: doc.name, id: created.id, previous_id: existing.id });
+            superseded.push(existing.id);
+        } else {
+            result.created.push(created.id);
+        }
+    }
+
+    // Whatever is left in the namespace is no longer part of the project
+    for (const kb of managedByName.values()) {
+        result.removed.push(kb.id);
+        superseded.push(kb.id);
+    }
+
+    const changed = result.created.length || result.updated.length || result.removed.length ||
+        nextManaged.some(kb => kb.usage_mode !== managed.find(m => m.id === kb.id)?.usage_mode);
+
+    if (changed) {
+        console.log('📤 Updating agent knowledge base:', {
+            created: result.created.length,
+            updated: result.updated.length,
+            removed: result.removed.length,
+            unchanged: result.unchanged.length
+        });
+        await patchAgentKnowledgeBase({ apiKey, agentId, agentData, knowledgeBase: [...preserved, ...nextManaged] });
+        // Only drop old documents once the agent no longer references them
+        for (const id of superseded) await deleteDocument({ apiKey, agentId, id });
+    } else {
+        console.log('✅ Knowledge base already up to date');
+    }
+
+    return result;
+}
@@ -0,0 +1,183 @@
+// src/loaders.js
+// Document loaders keyed by file extension / MIME type. Each loader turns a file into plain text.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { htmlToText } from './html-text.js';
+import { loadUrlFile } from './url-fetch.js';
+
+const byExt = new Map();
+const byMime = new Map();
+
+/**
+ * Register a loader: { name, extensions: ['.pdf'], mimeTypes: ['application/pdf'], load(filePath) }.
+ * Later registrations override earlier ones for the same extension or MIME type.
+ */
+export function registerLoader(loader) {
+  for (const ext of loader.extensions || []) byExt.set(ext.toLowerCase(), loader);
+  for (const mime of loader.mimeTypes || []) byMime.set(mime.toLowerCase(), loader);
+  return loader;
+}
+
+export function getLoader({ ext, mime } = {}) {
+  return (ext && byExt.get(ext.toLowerCase())) ||
+    (mime && byMime.get(mime.split(';')[0].trim().toLowerCase())) ||
+    null;
+}
+
+export function supportedExtensions() {
+  return [...byExt.keys()];
+}
+
+export function mimeForExtension(ext) {
+  const loader = byExt.get(ext.toLowerCase());
+  return loader?.mimeTypes?.[0] || 'application/octet-stream';
+}
+
+// --- text helpers ---
+
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      rows.push(row); row = [];
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+const QUESTION_KEYS = ['question', 'q', 'query', 'prompt'];
+const ANSWER_KEYS = ['answer', 'a', 'response', 'reply'];
+
+function findKey(keys, candidates) {
+  return keys.find(k => candidates.includes(String(k).trim().toLowerCase()));
+}
+
+// Records with question/answer-ish fields render as Q&A, anything else as "key: value" lines
+function recordsToText(records) {
+  const keys = [...new Set(records.flatMap(r => Object.keys(r)))];
+  const qKey = findKey(keys, QUESTION_KEYS);
+  const aKey = findKey(keys, ANSWER_KEYS);
+  return records.map(r => {
+    if (qKey && aKey) {
+      const extra = keys.filter(k => k !== qKey && k !== aKey && r[k] !== undefined && r[k] !== '');
+      return [`Q: ${r[qKey]}`, `A: ${r[aKey]}`, ...extra.map(k => `${k}: ${scalar(r[k])}`)].join('\n');
+    }
+    return flatten(r).map(([k, v]) => `${k}: ${v}`).join('\n');
+  }).join('\n\n');
+}
+
+function scalar(v) {
+  return v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+function flatten(value, prefix = '') {
+  if (Array.isArray(value)) {
+    if (value.every(v => v === null || typeof v !== 'object')) return [[prefix, value.join(', ')]];
+    return value.flatMap((v, i) => flatten(v, `${prefix}[${i}]`));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([k, v]) => flatten(v, prefix ? `${prefix}.${k}` : k));
+  }
+  return [[prefix || 'value', String(value)]];
+}
+
+export function csvToText(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return '';
+  const records = rows.map(r => Object.fromEntries(header.map((h, i) => [h.trim(), (r[i] ?? '').trim()])));
+  return recordsToText(records);
+}
+
+export function jsonToText(text) {
+  const data = JSON.parse(text);
+  // A catalog is usually an array of records, or an object wrapping one
+  const list = Array.isArray(data)
+    ? data
+    : Object.values(data).length === 1 && Array.isArray(Object.values(data)[0]) ? Object.values(data)[0] : null;
+  if (list && list.every(v => v && typeof v === 'object' && !Array.isArray(v))) return recordsToText(list);
+  return flatten(data).map(([k, v]) => `${k}: ${v}`).join('\n');
+}
+
+// --- built-in loaders ---
+
+registerLoader({
+  name: 'text',
+  extensions: ['.txt', '.md'],
+  mimeTypes: ['text/plain', 'text/markdown'],
+  load: filePath => fs.readFile(filePath, 'utf8')
+});
+
+registerLoader({
+  name: 'docx',
+  extensions: ['.docx'],
+  mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  async load(filePath) {
+    const mammoth = await import('mammoth');
+    const r = await mammoth.extractRawText({ path: filePath });
+    return r.value;
+  }
+});
+
+registerLoader({
+  name: 'url',
+  extensions: ['.url'],
+  mimeTypes: ['text/uri-list'],
+  load: loadUrlFile
+});
+
+registerLoader({
+  name: 'pdf',
+  extensions: ['.pdf'],
+  mimeTypes: ['application/pdf'],
+  async load(filePath) {
+    const { getDocumentProxy, extractText } = await import('unpdf');
+    const pdf = await getDocumentProxy(new Uint8Array(await fs.readFile(filePath)));
+    const { text } = await extractText(pdf, { mergePages: true });
+    return text;
+  }
+});
+
+registerLoader({
+  name: 'html',
+  extensions: ['.html', '.htm'],
+  mimeTypes: ['text/html'],
+  load: async filePath => htmlToText(await fs.readFile(filePath, 'utf8'))
+});
+
+registerLoader({
+  name: 'csv',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv'],
+  load: async filePath => csvToText(await fs.readFile(filePath, 'utf8'))
+});
+
+registerLoader({
+  name: 'json',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  load: async filePath => jsonToText(await fs.readFile(filePath, 'utf8'))
+});
+
+export async function loadFile(filePath) {
+  const loader = getLoader({ ext: path.extname(filePath) });
+  if (!loader) return null;
+  return loader.load(filePath);
+}
@@ -0,0 +1,78 @@
+// src/manifest.js
+// Remembers what was last pushed per project: content hash, usage mode and remote KB document id
+// per document.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// `label` names the file in logs; the same store also keeps agent config snapshots
+export function createFileManifestStore(filePath, { label = 'KB manifest' } = {}) {
+  let cache = null;
+
+  async function readAll() {
+    if (cache) return cache;
+    try {
+      cache = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch {
+      cache = {};
+    }
+    return cache;
+  }
+
+  return {
+    async get(project) {
+      return (await readAll())[project] || null;
+    },
+    async set(project, entry) {
+      const all = await readAll();
+      all[project] = entry;
+      try {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(all, null, 2));
+      } catch (e) {
+        // Read-only FS (e.g. Vercel) — keep the in-memory copy for this instance
+        console.log(`⚠️ Could not persist ${label}:`, e.message);
+      }
+    }
+  };
+}
+
+export function createMemoryManifestStore() {
+  const all = {};
+  return {
+    async get(project) { return all[project] || null; },
+    async set(project, entry) { all[project] = entry; }
+  };
+}
+
+let store = createFileManifestStore(process.env.KB_MANIFEST_PATH || path.resolve('out/kb-manifest.json'));
+
+export function getManifestStore() {
+  return store;
+}
+
+// Swap in another backend (anything with async get(project) / set(project, entry))
+export function setManifestStore(next) {
+  store = next;
+}
+
+/**
+ * Compare desired documents ([{ name, hash, usageMode? }]) with a stored manifest entry.
+ * A new usage mode (e.g. after prompt_budget_tokens changed) counts as a change too.
+ * A manifest written for a different agent counts as nothing pushed yet.
+ */
+export function planManifestDiff(entry, documents, agentId) {
+  const known = entry && entry.agent_id === agentId ? entry.documents || {} : {};
+  const plan = { added: [], changed: [], removed: [], unchanged: [] };
+  const seen = new Set();
+  for (const d of documents) {
+    seen.add(d.name);
+    if (!known[d.name]) plan.added.push(d.name);
+    else if (known[d.name].hash !== d.hash || (d.usageMode && known[d.name].usage_mode !== d.usageMode)) plan.changed.push(d.name);
+    else plan.unchanged.push(d.name);
+  }
+  for (const name of Object.keys(known)) {
+    if (!seen.has(name)) plan.removed.push(name);
+  }
+  plan.hasChanges = plan.added.length + plan.changed.length + plan.removed.length > 0;
+  return plan;
+}
@@ -0,0 +1,62 @@
+// src/media.js
+// Generated audio under out/media (MEDIA_DIR), served by the /media route. When MEDIA_SIGNING_SECRET
+// is set, links carry `exp` + `sig` query params and unsigned or expired requests are refused.
+import crypto from 'node:crypto';
+import path from 'node:path';
+
+// Its own directory: nothing else written under out/ (KB manifest, URL cache) is reachable through
+// /media, and a TTS sidecar can't overwrite one of those files
+export const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || 'out/media');
+
+// What ttsToFile writes: the audio and its chapters sidecar
+const MEDIA_EXTENSIONS = ['.mp3', '.json'];
+
+const DEFAULT_TTL_SEC = 3600;
+
+function signingSecret() {
+  return process.env.MEDIA_SIGNING_SECRET || '';
+}
+
+function ttlSec() {
+  const n = Number(process.env.MEDIA_URL_TTL_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_SEC;
+}
+
+// A single file directly inside MEDIA_DIR: no separators, no traversal, no dotfiles
+export function isSafeMediaName(name) {
+  return typeof name === 'string' &&
+    name.length > 0 &&
+    name.length <= 255 &&
+    !name.startsWith('.') &&
+    !/[\\/\0]/.test(name) &&
+    path.basename(name) === name;
+}
+
+function signature(file, exp) {
+  return crypto.createHmac('sha256', signingSecret()).update(`${file}:${exp}`).digest('hex');
+}
+
+export function mediaUrl(base, file) {
+  const url = `${base}/media/${encodeURIComponent(file)}`;
+  if (!signingSecret()) return url;
+  const exp = Math.floor(Date.now() / 1000) + ttlSec();
+  return `${url}?exp=${exp}&sig=${signature(file, exp)}`;
+}
+
+/** { ok: true } or { ok: false, status, reason } for a request to /media/<file>. */
+export function checkMediaAccess(file, { exp, sig } = {}) {
+  if (!isSafeMediaName(file)) return { ok: false, status: 400, reason: 'invalid file name' };
+  if (!MEDIA_EXTENSIONS.includes(path.extname(file).toLowerCase())) return { ok: false, status: 404, reason: 'not_found' };
+  if (!signingSecret()) return { ok: true };
+
+  const expNum = Number(exp);
+  if (!Number.isFinite(expNum) || !sig) return { ok: false, status: 403, reason: 'signature required' };
+  if (expNum < Date.now() / 1000) return { ok: false, status: 403, reason: 'link expired' };
+
+  const expected = Buffer.from(signature(file, expNum), 'hex');
+  const given = Buffer.from(String(sig), 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { ok: false, status: 403, reason: 'bad signature' };
+  }
+  return { ok: true };
+}
@@ -1,70 +1,223 @@
 // src/projects.js
 import fs from 'node:fs/promises';
 import path from 'node:path';
+import crypto from 'node:crypto';
+import { getLoader, loadFile } from './loaders.js';
+import { documentSources, getDocumentStorage, safeDocumentName } from './storage.js';
 
-const PROJECTS_DIR = path.resolve('src/projects');
+const META_FILE = 'project.json';
 
-async function dirExists(p) {
+// Minimal glob → RegExp: `**` may span `/`, `*` and `?` stay within one path segment
+function globToRegExp(glob) {
+  const re = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${re}$`, 'i');
+}
+
+function matchesAny(name, globs) {
+  return globs.some(g => globToRegExp(g).test(name));
+}
+
+async function readProjectMeta(dir, metaFile) {
+  if (!metaFile) return {};
+  let raw;
   try {
-    const s = await fs.stat(p);
-    return s.isDirectory();
+    raw = await fs.readFile(await metaFile.storage.localPath(dir, META_FILE), 'utf8');
   } catch {
-    return false;
+    return {};
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`invalid project.json in ${dir}: ${e.message}`);
   }
 }
 
-async function loadDoc(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  if (ext === '.txt' || ext === '.md') return fs.readFile(filePath, 'utf8');
-  if (ext === '.docx') {
-    const mammoth = await import('mammoth');
-    const r = await mammoth.extractRawText({ path: filePath });
-    return r.value;
-  }
-  if (ext === '.url') {
-    const url = (await fs.readFile(filePath, 'utf8')).trim();
-    const r = await fetch(url);
-    if (!r.ok) throw new Error(`fetch ${url}: ${r.status}`);
-    return r.text();
+function asStringList(v) {
+  if (v == null) return [];
+  return (Array.isArray(v) ? v : [v]).map(String);
+}
+
+// project.json keys we understand; everything is optional
+function normalizeMeta(dirName, meta) {
+  return {
+    title: meta.title || dirName,
+    slug: meta.slug || dirName,
+    description: meta.description || '',
+    order: asStringList(meta.order),
+    include: asStringList(meta.include),
+    exclude: asStringList(meta.exclude),
+    agentId: meta.agent_id || meta.agentId || '',
+    voiceId: meta.voice_id || meta.voiceId || '',
+    tts: {
+      modelId: meta.tts?.model_id || meta.tts?.modelId || '',
+      voiceSettings: meta.tts?.voice_settings || meta.tts?.voiceSettings || null
+    },
+    tags: asStringList(meta.tags),
+    // per-conversation overrides sent by the /ws proxy, see src/convai-init.js
+    convai: {
+      language: meta.convai?.language || meta.language || '',
+      firstMessage: meta.convai?.first_message || meta.convai?.firstMessage || '',
+      prompt: meta.convai?.prompt || '',
+      dynamicVariables: meta.convai?.dynamic_variables || meta.convai?.dynamicVariables || {}
+    },
+    // chunking / prompt budget overrides, see src/chunker.js
+    kb: meta.kb ? {
+      promptBudgetTokens: meta.kb.prompt_budget_tokens ?? meta.kb.promptBudgetTokens,
+      chunkTokens: meta.kb.chunk_tokens ?? meta.kb.chunkTokens,
+      overlapTokens: meta.kb.overlap_tokens ?? meta.kb.overlapTokens
+    } : undefined
+  };
+}
+
+// Files named in `order` come first, in that order; the rest follow alphabetically
+function sortByOrder(files, order) {
+  const rank = f => {
+    const i = order.indexOf(f);
+    return i < 0 ? order.length : i;
+  };
+  return [...files].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+// name -> { name, size, modified, storage } across bundled files and uploads
+async function projectFiles(dir) {
+  const files = new Map();
+  for (const storage of documentSources()) {
+    for (const f of await storage.list(dir)) files.set(f.name, { ...f, storage });
   }
-  return '';
+  return files;
 }
 
 async function scanProjects() {
   // Vercel FS is read-only — don’t mkdir
-  if (!(await dirExists(PROJECTS_DIR))) return {};
-  const dirs = await fs.readdir(PROJECTS_DIR, { withFileTypes: true });
+  const sources = documentSources();
+  const dirs = [...new Set((await Promise.all(sources.map(s => s.listProjects()))).flat())];
   const projects = {};
-  for (const d of dirs) {
-    if (!d.isDirectory()) continue;
-    const projectPath = path.join(PROJECTS_DIR, d.name);
-    const files = await fs.readdir(projectPath);
+  for (const dir of dirs) {
+    const entries = await projectFiles(dir);
+    const meta = normalizeMeta(dir, await readProjectMeta(dir, entries.get(META_FILE)));
+    const files = sortByOrder([...entries.keys()], meta.order);
     const docs = [];
+    const skipped = [];
     for (const f of files) {
-      const ext = path.extname(f).toLowerCase();
-      if (['.txt', '.md', '.docx', '.url'].includes(ext)) {
-        docs.push({ type: 'file', path: path.join(projectPath, f) });
+      if (f === META_FILE || f.startsWith('.')) continue;
+      if (meta.include.length && !matchesAny(f, meta.include)) continue;
+      if (meta.exclude.length && matchesAny(f, meta.exclude)) continue;
+      if (!getLoader({ ext: path.extname(f) })) {
+        skipped.push({ file: f, reason: 'unsupported file type' });
+        continue;
       }
+      docs.push({ type: 'file', dir, name: f, storage: entries.get(f).storage });
     }
-    projects[d.name] = { title: d.name, docs };
+    projects[meta.slug] = { ...meta, dir, docs, skipped };
   }
   return projects;
 }
 
-export async function listProjects() {
+// Look a project up by slug, falling back to its folder name
+async function findProject(key) {
   const p = await scanProjects();
-  return Object.entries(p).map(([key, v]) => ({ key, title: v.title }));
+  const proj = p[key] || Object.values(p).find(v => v.dir === key);
+  if (!proj) throw new Error(`project not found: ${key}`);
+  return proj;
 }
 
-export async function assembleKB(key) {
+function publicMeta(proj) {
+  const { docs, skipped, dir, order, include, exclude, ...meta } = proj;
+  return { key: proj.slug, ...meta };
+}
+
+export async function listProjects() {
   const p = await scanProjects();
-  const proj = p[key];
-  if (!proj) throw new Error(`project not found: ${key}`);
-  const chunks = [];
+  return Object.values(p).map(publicMeta);
+}
+
+export async function getProject(key) {
+  return publicMeta(await findProject(key));
+}
+
+export function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// One entry per source file, so each can live as its own KB document
+export async function loadDocuments(key) {
+  const proj = await findProject(key);
+  const documents = [];
+  const skipped = [...proj.skipped];
   for (const d of proj.docs) {
-    if (d.type === 'file') chunks.push(await loadDoc(d.path));
+    if (d.type !== 'file') continue;
+    let text;
+    try {
+      text = await loadFile(await d.storage.localPath(d.dir, d.name));
+    } catch (e) {
+      console.error('⚠️ Failed to load document:', `${d.dir}/${d.name}`, e.message);
+      skipped.push({ file: d.name, reason: `load failed: ${e.message}` });
+      continue;
+    }
+    if (!text || !text.trim()) {
+      skipped.push({ file: d.name, reason: 'no extractable text' });
+      continue;
+    }
+    documents.push({
+      name: d.name,
+      source: `${d.dir}/${d.name}`,
+      type: path.extname(d.name).slice(1).toLowerCase(),
+      size: Buffer.byteLength(text, 'utf8'),
+      hash: contentHash(text),
+      text
+    });
+  }
+  return { title: proj.title, project: publicMeta(proj), documents, skipped, warnings: skippedWarnings(skipped) };
+}
+
+function skippedWarnings(skipped) {
+  if (!skipped.length) return [];
+  return [`Skipped ${skipped.length} file(s): ${skipped.map(s => `${s.file} (${s.reason})`).join(', ')}`];
+}
+
+export async function assembleKB(key) {
+  const { title, project, documents, skipped, warnings } = await loadDocuments(key);
+  return { title, project, text: documents.map(d => d.text).join('\n\n'), skipped, warnings };
+}
+
+// --- document management (upload API) ---
+
+// Raw files in a project folder, whether or not they end up in the KB
+export async function listProjectFiles(key) {
+  const proj = await findProject(key);
+  const entries = await projectFiles(proj.dir);
+  return [...entries.values()].map(({ storage, ...f }) => ({
+    ...f,
+    origin: storage.readOnly ? 'bundled' : storage.name,
+    deletable: !storage.readOnly,
+    supported: f.name === META_FILE || !!getLoader({ ext: path.extname(f.name) })
+  }));
+}
+
+export async function addProjectDocument(key, name, buffer) {
+  const file = safeDocumentName(name);
+  if (file !== META_FILE && !getLoader({ ext: path.extname(file) })) {
+    throw new Error(`unsupported file type: ${file}`);
   }
-  return { title: proj.title, text: chunks.join('\n\n') };
+  if (file === META_FILE) JSON.parse(buffer.toString('utf8'));
+  const proj = await findProject(key);
+  return getDocumentStorage().put(proj.dir, file, buffer);
+}
+
+export async function removeProjectDocument(key, name) {
+  const file = safeDocumentName(name);
+  const proj = await findProject(key);
+  const storage = getDocumentStorage();
+  if (storage.readOnly) throw new Error('document storage is read-only');
+  const entry = (await projectFiles(proj.dir)).get(file);
+  if (!entry) return false;
+  if (entry.storage.readOnly) throw new Error(`${file} is bundled with the deployment and can't be deleted`);
+  return storage.remove(proj.dir, file);
 }
 
 // no default export
@@ -0,0 +1,137 @@
+// src/rate-limit.js
+// Request-rate and concurrency limits shared by server.js and the Worker (no Node built-ins).
+// A counter store only needs two async methods; the in-memory one is per process / isolate:
+//   hit(key, windowMs, by)  -> { count, resetAt }   fixed-window counter, incremented by `by` (default 1)
+//   add(key, delta, ttlMs)  -> count                gauge for concurrent sessions
+// Limits come from process.env or the Worker env; 0 turns a limit off.
+
+const DEFAULT_LIMITS = {
+  RATE_LIMIT_STT_PER_MIN: 30,
+  RATE_LIMIT_STT_PROJECT_PER_MIN: 120,
+  RATE_LIMIT_TTS_PER_MIN: 20,
+  RATE_LIMIT_TTS_PROJECT_PER_MIN: 60,
+  RATE_LIMIT_PUSH_PER_MIN: 5,
+  RATE_LIMIT_PUSH_PROJECT_PER_MIN: 10,
+  WS_MAX_CONCURRENT_PER_CLIENT: 3,
+  WS_MAX_CONCURRENT_PER_PROJECT: 25,
+  WS_MAX_SESSION_SEC: 900
+};
+
+const WINDOW_MS = 60 * 1000;
+const MAX_KEYS = 10000;
+
+export function limitSetting(env, name) {
+  const v = env?.[name];
+  if (v === undefined || v === '') return DEFAULT_LIMITS[name];
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : DEFAULT_LIMITS[name];
+}
+
+export function createMemoryCounterStore() {
+  const windows = new Map();
+  const gauges = new Map();
+
+  // Drop expired entries once the maps get big; cheap enough to do inline
+  const sweep = (map, now) => {
+    if (map.size < MAX_KEYS) return;
+    for (const [k, v] of map) if (v.expiresAt <= now) map.delete(k);
+  };
+
+  return {
+    async hit(key, windowMs, by = 1) {
+      const now = Date.now();
+      sweep(windows, now);
+      let w = windows.get(key);
+      if (!w || w.expiresAt <= now) {
+        w = { count: 0, expiresAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += by;
+      return { count: w.count, resetAt: w.expiresAt };
+    },
+
+    async add(key, delta, ttlMs) {
+      const now = Date.now();
+      sweep(gauges, now);
+      const g = gauges.get(key);
+      const count = Math.max(0, (g && g.expiresAt > now ? g.count : 0) + delta);
+      if (count === 0) gauges.delete(key);
+      else gauges.set(key, { count, expiresAt: now + ttlMs });
+      return count;
+    }
+  };
+}
+
+let store = createMemoryCounterStore();
+
+export function getCounterStore() {
+  return store;
+}
+
+// e.g. a Redis or Durable Object backed store shared by every instance
+export function setCounterStore(next) {
+  store = next;
+}
+
+/**
+ * Count one request (or `cost` units, e.g. the items of a batch) against every applicable
+ * limit ([{ key, limit }], limit 0 = off).
+ * Returns { ok, limit, remaining, resetAt, retryAfterSec } for the tightest limit.
+ */
+export async function checkRateLimit(limits, { windowMs = WINDOW_MS, cost = 1 } = {}) {
+  let tightest = null;
+  for (const { key, limit } of limits) {
+    if (!limit) continue;
+    const { count, resetAt } = await store.hit(key, windowMs, cost);
+    const state = { key, limit, remaining: Math.max(0, limit - count), resetAt, over: count > limit };
+    if (!tightest || state.over > tightest.over || (state.over === tightest.over && state.remaining < tightest.remaining)) {
+      tightest = state;
+    }
+  }
+  if (!tightest) return { ok: true };
+  return {
+    ok: !tightest.over,
+    key: tightest.key,
+    limit: tightest.limit,
+    remaining: tightest.remaining,
+    resetAt: tightest.resetAt,
+    retryAfterSec: Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000))
+  };
+}
+
+/**
+ * Take one concurrency slot under every limit ([{ key, limit }]). On success returns
+ * { ok: true, release() }; release is idempotent. `ttlMs` bounds how long a leaked slot lingers.
+ */
+export async function acquireSlots(limits, ttlMs) {
+  const taken = [];
+  for (const { key, limit } of limits) {
+    if (!limit) continue;
+    const count = await store.add(key, 1, ttlMs);
+    taken.push(key);
+    if (count > limit) {
+      for (const k of taken) await store.add(k, -1, ttlMs);
+      return { ok: false, key, limit };
+    }
+  }
+  let released = false;
+  return {
+    ok: true,
+    async release() {
+      if (released) return;
+      released = true;
+      for (const k of taken) await store.add(k, -1, ttlMs);
+    }
+  };
+}
+
+// Standard headers for a checkRateLimit result (RateLimit-* per the IETF draft, plus Retry-After on 429)
+export function rateLimitHeaders(result) {
+  if (!result.limit) return {};
+  return {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.retryAfterSec),
+    ...(result.ok ? {} : { 'Retry-After': String(result.retryAfterSec) })
+  };
+}
@@ -0,0 +1,136 @@
+// src/session-token.js
+// Short-lived, project-scoped session tokens for /ws and /realtime, shared by server.js and the
+// Worker (Web Crypto only, so it runs in both). Settings come from process.env or the Worker env:
+//   SESSION_TOKEN_SECRET      HMAC secret(s), comma-separated for rotation (first one signs)
+//   SESSION_TOKEN_TTL_SEC     token lifetime, default 300
+//   ALLOWED_ORIGINS           comma-separated origins; `*.example.com` matches subdomains
+//   SESSION_MINT_API_KEY      lets non-browser callers mint with `Authorization: Bearer <key>`
+//   SESSION_TOKEN_DEV_BYPASS  "1" accepts requests without a token and lets anyone mint when
+//                             neither of the two above is set (local development only)
+
+const DEFAULT_TTL_SEC = 300;
+const MAX_TTL_SEC = 3600;
+const VERSION = 'v1';
+
+const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+export function sessionConfig(env = {}) {
+  const ttl = Number(env.SESSION_TOKEN_TTL_SEC);
+  return {
+    secrets: list(env.SESSION_TOKEN_SECRET),
+    ttlSec: Number.isFinite(ttl) && ttl > 0 ? Math.min(ttl, MAX_TTL_SEC) : DEFAULT_TTL_SEC,
+    allowedOrigins: list(env.ALLOWED_ORIGINS).map(o => o.replace(/\/+$/, '').toLowerCase()),
+    mintApiKey: env.SESSION_MINT_API_KEY || '',
+    devBypass: env.SESSION_TOKEN_DEV_BYPASS === '1'
+  };
+}
+
+function toBase64Url(bytes) {
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(bin, c => c.charCodeAt(0));
+}
+
+function hmacKey(secret) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+/** { token, expires_at, expires_in } for `project` (and the agent the session may talk to). */
+export async function mintSessionToken(config, { project, agentId }) {
+  if (!config.secrets.length) throw new Error('SESSION_TOKEN_SECRET not configured');
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { p: project, a: agentId || undefined, iat: now, exp: now + config.ttlSec, jti: crypto.randomUUID() };
+  const body = `${VERSION}.${toBase64Url(new TextEncoder().encode(JSON.stringify(claims)))}`;
+  const sig = await crypto.subtle.sign('HMAC', await hmacKey(config.secrets[0]), new TextEncoder().encode(body));
+  return {
+    token: `${body}.${toBase64Url(new Uint8Array(sig))}`,
+    expires_at: new Date(claims.exp * 1000).toISOString(),
+    expires_in: config.ttlSec
+  };
+}
+
+/**
+ * { ok: true, claims: { project, agentId, exp } } or { ok: false, status, reason }.
+ * When `project` is given the token must have been minted for it.
+ */
+export async function verifySessionToken(config, token, { project } = {}) {
+  if (!token) {
+    if (config.devBypass) return { ok: true, bypassed: true, claims: { project, agentId: undefined, exp: null } };
+    return { ok: false, status: 401, reason: 'session token required' };
+  }
+  if (!config.secrets.length) return { ok: false, status: 503, reason: 'session tokens not configured' };
+
+  const parts = String(token).split('.');
+  if (parts.length !== 3 || parts[0] !== VERSION) return { ok: false, status: 401, reason: 'malformed session token' };
+
+  let sig;
+  let claims;
+  try {
+    sig = fromBase64Url(parts[2]);
+    claims = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1])));
+  } catch {
+    return { ok: false, status: 401, reason: 'malformed session token' };
+  }
+
+  const body = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+  let valid = false;
+  for (const secret of config.secrets) {
+    if (await crypto.subtle.verify('HMAC', await hmacKey(secret), sig, body)) {
+      valid = true;
+      break;
+    }
+  }
+  if (!valid) return { ok: false, status: 401, reason: 'invalid session token' };
+  if (!Number.isFinite(claims.exp) || claims.exp < Date.now() / 1000) return { ok: false, status: 401, reason: 'session token expired' };
+  if (project && claims.p !== project) return { ok: false, status: 403, reason: 'session token is for a different project' };
+
+  return { ok: true, claims: { project: claims.p, agentId: claims.a, exp: claims.exp } };
+}
+
+// No allow-list means any origin; requests without an Origin header (non-browser) pass here
+// and still need a token or the mint key.
+export function originAllowed(config, origin) {
+  if (!config.allowedOrigins.length || !origin) return true;
+  const o = String(origin).replace(/\/+$/, '').toLowerCase();
+  return config.allowedOrigins.some(allowed => {
+    if (allowed === '*' || allowed === o) return true;
+    const m = allowed.match(/^(https?:\/\/)\*\.(.+)$/);
+    return !!m && o.startsWith(m[1]) && o.endsWith(`.${m[2]}`);
+  });
+}
+
+/**
+ * Constant-time comparison of two secrets. Compares SHA-256 digests, so neither the length nor
+ * a matching prefix leaks through timing.
+ */
+export async function tokensEqual(given, expected) {
+  const encoder = new TextEncoder();
+  const [a, b] = await Promise.all([given, expected].map(s => crypto.subtle.digest('SHA-256', encoder.encode(String(s)))));
+  const x = new Uint8Array(a);
+  const y = new Uint8Array(b);
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+/**
+ * Who may mint: holders of SESSION_MINT_API_KEY, or browsers on an allow-listed origin.
+ * With neither configured nobody may, unless SESSION_TOKEN_DEV_BYPASS is on.
+ * Resolves to { ok: true } or { ok: false, status, reason }.
+ */
+export async function checkMintAccess(config, { origin, authorization }) {
+  if (!config.mintApiKey && !config.allowedOrigins.length) {
+    if (config.devBypass) return { ok: true };
+    return { ok: false, status: 503, reason: 'session minting not configured (SESSION_MINT_API_KEY or ALLOWED_ORIGINS)' };
+  }
+  const bearer = String(authorization || '').replace(/^Bearer\s+/i, '');
+  if (config.mintApiKey && bearer && await tokensEqual(bearer, config.mintApiKey)) return { ok: true };
+  if (origin && !originAllowed(config, origin)) return { ok: false, status: 403, reason: 'origin not allowed' };
+  if (origin && config.allowedOrigins.length) return { ok: true };
+  return { ok: false, status: 401, reason: 'not allowed to mint session tokens' };
+}
@@ -0,0 +1,109 @@
+// src/storage.js
+// Where project documents live. The filesystem adapter is the default; anything implementing
+// the same methods (e.g. an S3/R2 adapter) can be swapped in with setDocumentStorage().
+//
+// Adapter interface (all async):
+//   listProjects()                      -> [projectDir]
+//   list(project)                       -> [{ name, size, modified }]
+//   put(project, name, buffer, meta)    -> { name, size }
+//   remove(project, name)               -> boolean (false if it didn't exist)
+//   localPath(project, name)            -> path on local disk the loaders can read
+//                                          (remote adapters download to a temp file)
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+// Only plain file names inside a project folder; no traversal, no hidden files
+export function safeDocumentName(name) {
+  const base = path.basename(String(name || '')).trim();
+  if (!base || base.startsWith('.') || base !== String(name).trim() || /[\\/\0]/.test(base)) {
+    throw new Error(`invalid document name: ${name}`);
+  }
+  return base;
+}
+
+function safeProjectDir(project) {
+  if (!project || project.startsWith('.') || /[\\/\0]/.test(project)) {
+    throw new Error(`invalid project: ${project}`);
+  }
+  return project;
+}
+
+export function createFsStorage(rootDir, { readOnly = false } = {}) {
+  const dirOf = project => path.join(rootDir, safeProjectDir(project));
+
+  return {
+    name: 'fs',
+    rootDir,
+    readOnly,
+
+    async listProjects() {
+      try {
+        const dirs = await fs.readdir(rootDir, { withFileTypes: true });
+        return dirs.filter(d => d.isDirectory() && !d.name.startsWith('.')).map(d => d.name);
+      } catch {
+        return [];
+      }
+    },
+
+    async list(project) {
+      let names;
+      try {
+        names = await fs.readdir(dirOf(project));
+      } catch {
+        return [];
+      }
+      const out = [];
+      for (const name of names) {
+        const s = await fs.stat(path.join(dirOf(project), name));
+        if (s.isFile()) out.push({ name, size: s.size, modified: s.mtime.toISOString() });
+      }
+      return out;
+    },
+
+    async put(project, name, buffer) {
+      if (readOnly) throw new Error('document storage is read-only');
+      const file = safeDocumentName(name);
+      await fs.mkdir(dirOf(project), { recursive: true });
+      await fs.writeFile(path.join(dirOf(project), file), buffer);
+      return { name: file, size: buffer.length };
+    },
+
+    async remove(project, name) {
+      if (readOnly) throw new Error('document storage is read-only');
+      try {
+        await fs.unlink(path.join(dirOf(project), safeDocumentName(name)));
+        return true;
+      } catch (e) {
+        if (e.code === 'ENOENT') return false;
+        throw e;
+      }
+    },
+
+    async localPath(project, name) {
+      return path.join(dirOf(project), safeDocumentName(name));
+    }
+  };
+}
+
+const BUNDLED_DIR = path.resolve('src/projects');
+
+// Documents committed with the app. Read-only so deletes can't touch the deploy.
+export const bundledStorage = createFsStorage(BUNDLED_DIR, { readOnly: true });
+
+// Uploads go to their own directory (data/uploads unless DOCUMENT_STORAGE_DIR says otherwise),
+// never into the bundled one
+let storage = createFsStorage(path.resolve(process.env.DOCUMENT_STORAGE_DIR || 'data/uploads'));
+
+export function getDocumentStorage() {
+  return storage;
+}
+
+export function setDocumentStorage(next) {
+  storage = next;
+}
+
+// Bundled files first, then uploads (an upload with the same name wins)
+export function documentSources() {
+  const isBundled = storage.name === 'fs' && storage.rootDir === BUNDLED_DIR;
+  return isBundled ? [storage] : [bundledStorage, storage];
+}
@@ -0,0 +1,233 @@
+// src/stt.js
+// ElevenLabs speech-to-text: request options, the API call, and response post-processing
+// (speaker utterances and SRT/VTT subtitles built from word timestamps).
+import { mapLimit } from './concurrency.js';
+import { validateAudio } from './audio.js';
+import { createElevenLabsClient } from './elevenlabs-client.js';
+
+const MODELS = ['scribe_v1', 'scribe_v1_experimental'];
+const GRANULARITIES = ['none', 'word', 'character'];
+const MAX_SPEAKERS = 32;
+const MAX_KEYTERMS = 100;
+const MAX_KEYTERM_LENGTH = 50;
+
+function parseBool(v, name, errors) {
+  if (v === undefined || v === '') return undefined;
+  if (v === true || v === 'true' || v === '1') return true;
+  if (v === false || v === 'false' || v === '0') return false;
+  errors.push(`${name} must be true or false`);
+  return undefined;
+}
+
+function parseList(v) {
+  if (v === undefined || v === '') return [];
+  if (Array.isArray(v)) return v.map(String).map(s => s.trim()).filter(Boolean);
+  const str = String(v).trim();
+  if (str.startsWith('[')) {
+    try { return parseList(JSON.parse(str)); } catch {}
+  }
+  return str.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Validate client STT options (multipart fields or query params).
+ * Returns { options, errors }; defaults match what /stt always sent before.
+ */
+export function parseSttOptions(input = {}) {
+  const errors = [];
+  const options = {
+    model_id: input.model_id || 'scribe_v1',
+    language_code: 'en',
+    timestamps_granularity: 'word',
+    tag_audio_events: false,
+    diarize: false,
+    num_speakers: undefined,
+    keyterms: []
+  };
+
+  if (!MODELS.includes(options.model_id)) errors.push(`model_id must be one of ${MODELS.join(', ')}`);
+
+  // "auto" (or an explicit empty value) lets ElevenLabs detect the language
+  const lang = input.language_code ?? input.language;
+  if (lang !== undefined) {
+    const l = String(lang).trim().toLowerCase();
+    if (l === '' || l === 'auto') options.language_code = undefined;
+    else if (/^[a-z]{2,3}$/.test(l)) options.language_code = l;
+    else errors.push('language_code must be an ISO 639-1/639-3 code or "auto"');
+  }
+
+  if (input.timestamps_granularity !== undefined) {
+    if (GRANULARITIES.includes(input.timestamps_granularity)) options.timestamps_granularity = input.timestamps_granularity;
+    else errors.push(`timestamps_granularity must be one of ${GRANULARITIES.join(', ')}`);
+  }
+
+  const tag = parseBool(input.tag_audio_events, 'tag_audio_events', errors);
+  if (tag !== undefined) options.tag_audio_events = tag;
+  const diarize = parseBool(input.diarize, 'diarize', errors);
+  if (diarize !== undefined) options.diarize = diarize;
+
+  if (input.num_speakers !== undefined && input.num_speakers !== '') {
+    const n = Number(input.num_speakers);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_SPEAKERS) errors.push(`num_speakers must be an integer from 1 to ${MAX_SPEAKERS}`);
+    else {
+      options.num_speakers = n;
+      options.diarize = options.diarize || n > 1;
+    }
+  }
+
+  const keyterms = parseList(input.keyterms);
+  if (keyterms.length > MAX_KEYTERMS) errors.push(`at most ${MAX_KEYTERMS} keyterms allowed`);
+  if (keyterms.some(k => k.length > MAX_KEYTERM_LENGTH)) errors.push(`keyterms must be at most ${MAX_KEYTERM_LENGTH} characters`);
+  options.keyterms = keyterms;
+
+  return { options, errors };
+}
+
+export async function transcribe({ apiKey, buffer, mimeType, fileName, options }) {
+  const formData = new FormData();
+  // ElevenLabs expects the audio under the 'file' field
+  formData.append('file', new Blob([buffer], { type: mimeType }), fileName || 'recording.wav');
+  formData.append('model_id', options.model_id);
+  if (options.language_code) formData.append('language_code', options.language_code);
+  formData.append('timestamps_granularity', options.timestamps_granularity);
+  formData.append('tag_audio_events', String(options.tag_audio_events));
+  formData.append('diarize', String(options.diarize));
+  if (options.num_speakers) formData.append('num_speakers', String(options.num_speakers));
+  for (const term of options.keyterms) formData.append('keyterms', term);
+
+  // Don't set Content-Type; fetch adds the multipart boundary.
+  // Failures throw an ElevenLabsError whose status/details the routes pass on.
+  return createElevenLabsClient({ apiKey, env: process.env }).speechToText(formData);
+}
+
+// --- post-processing ---
+
+const PAUSE_SPLIT_SEC = 1.5;
+const CUE_MAX_SEC = 6;
+const CUE_MAX_CHARS = 84;
+
+function timedWords(words = []) {
+  return words.filter(w => w.type !== 'spacing' && Number.isFinite(w.start) && Number.isFinite(w.end));
+}
+
+function joinWords(words) {
+  return words
+    .map(w => (w.type === 'audio_event' ? `(${w.text.replace(/^\(|\)$/g, '')})` : w.text))
+    .join(' ')
+    .replace(/\s+([,.!?;:])/g, '$1')
+    .trim();
+}
+
+// Consecutive words from the same speaker, split again on long pauses
+export function buildUtterances(words) {
+  const out = [];
+  let cur = null;
+  for (const w of timedWords(words)) {
+    const speaker = w.speaker_id ?? null;
+    if (!cur || cur.speaker !== speaker || w.start - cur.end > PAUSE_SPLIT_SEC) {
+      cur = { speaker, start: w.start, end: w.end, words: [] };
+      out.push(cur);
+    }
+    cur.words.push(w);
+    cur.end = w.end;
+  }
+  return out.map(u => ({ speaker: u.speaker, start: u.start, end: u.end, text: joinWords(u.words) }));
+}
+
+// Subtitle cues: break on speaker change, sentence end, length or duration
+function buildCues(words) {
+  const cues = [];
+  let cur = null;
+  for (const w of timedWords(words)) {
+    const speaker = w.speaker_id ?? null;
+    const text = cur ? joinWords([...cur.words, w]) : '';
+    const breakHere = !cur ||
+      cur.speaker !== speaker ||
+      w.end - cur.start > CUE_MAX_SEC ||
+      text.length > CUE_MAX_CHARS ||
+      /[.!?]$/.test(cur.words[cur.words.length - 1].text);
+    if (breakHere) {
+      cur = { speaker, start: w.start, end: w.end, words: [] };
+      cues.push(cur);
+    }
+    cur.words.push(w);
+    cur.end = w.end;
+  }
+  return cues.map(c => ({ ...c, text: joinWords(c.words) }));
+}
+
+function stamp(sec, sep) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${h}:${m}:${s}${sep}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+export function toSrt(words) {
+  return buildCues(words)
+    .map((c, i) => `${i + 1}\n${stamp(c.start, ',')} --> ${stamp(c.end, ',')}\n${c.text}\n`)
+    .join('\n');
+}
+
+export function toVtt(words) {
+  const body = buildCues(words)
+    .map(c => `${stamp(c.start, '.')} --> ${stamp(c.end, '.')}\n${c.speaker ? `<v ${c.speaker}>` : ''}${c.text}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+// The raw ElevenLabs result plus utterances and subtitles (when word timings are available)
+export function normalizeSttResult(result) {
+  const words = result.words || [];
+  const hasTimings = timedWords(words).length > 0;
+  return {
+    ...result,
+    utterances: hasTimings ? buildUtterances(words) : [],
+    subtitles: hasTimings ? { srt: toSrt(words), vtt: toVtt(words) } : null
+  };
+}
+
+// --- batch ---
+
+/**
+ * Transcribe many inputs ([{ source, fileName, load() -> { buffer, fileName? } }]) with bounded
+ * concurrency. Audio is validated per item, so a bad file reports its 415/422 alongside the rest.
+ * One failure doesn't fail the batch: each entry reports its own result or error.
+ */
+export async function transcribeBatch({ apiKey, items, options, concurrency = 3 }) {
+  return mapLimit(items, concurrency, async item => {
+    try {
+      const { buffer, fileName } = await item.load();
+      const audio = validateAudio(buffer);
+      if (!audio.ok) throw Object.assign(new Error(audio.error), { status: audio.status });
+      const result = await transcribe({ apiKey, buffer, mimeType: audio.info.mimeType, fileName: fileName || item.fileName, options });
+      return { source: item.source, name: fileName || item.fileName, ok: true, result: normalizeSttResult(result) };
+    } catch (e) {
+      return {
+        source: item.source,
+        name: item.fileName,
+        ok: false,
+        error: String(e.message || e),
+        ...(e.status ? { status: e.status } : {}),
+        ...(e.details ? { details: e.details } : {})
+      };
+    }
+  });
+}
+
+// A transcript as a KB-friendly markdown document
+export function transcriptToMarkdown({ name, source, result }) {
+  const lines = result.utterances?.length
+    ? result.utterances.map(u => `${u.speaker ? `**${u.speaker}:** ` : ''}${u.text}`)
+    : [result.text || ''];
+  return [
+    `# Transcript: ${name}`,
+    '',
+    `Source: ${source}`,
+    `Transcribed: ${new Date().toISOString()}`,
+    result.language_code ? `Language: ${result.language_code}` : null,
+    '',
+    ...lines.flatMap(l => [l, ''])
+  ].filter(l => l !== null).join('\n');
+}
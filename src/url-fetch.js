@@ -0,0 +1,260 @@
+// src/url-fetch.js
+// Fetching for .url documents: SSRF guard, timeouts, size caps, HTML → text,
+// and an on-disk cache used for conditional re-fetch and as a fallback when the remote is down.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import dns from 'node:dns/promises';
+import net from 'node:net';
+import http from 'node:http';
+import https from 'node:https';
+import fetch from 'node-fetch';
+import { htmlToText } from './html-text.js';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 5;
+
+function cacheDir() {
+  return process.env.URL_CACHE_DIR || path.resolve('out/url-cache');
+}
+
+function hostList(name) {
+  return (process.env[name] || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+function hostMatches(host, pattern) {
+  if (pattern.startsWith('*.')) return host.endsWith(pattern.slice(1)) || host === pattern.slice(2);
+  return host === pattern;
+}
+
+// Non-public ranges. BlockList also matches IPv4-mapped IPv6 (::ffff:7f00:1) against the IPv4 rules.
+const blocked = new net.BlockList();
+for (const [net4, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) blocked.addSubnet(net4, prefix, 'ipv4');
+for (const [net6, prefix] of [
+  ['::', 96], ['100::', 64], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) blocked.addSubnet(net6, prefix, 'ipv6');
+
+// The eight 16-bit groups of an IPv6 address, including a dotted IPv4 tail
+function ipv6Groups(ip) {
+  let v6 = ip;
+  const tail = v6.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (tail) {
+    const [a, b, c, d] = tail[1].split('.').map(Number);
+    v6 = v6.slice(0, -tail[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, rest] = v6.split('::');
+  const left = head ? head.split(':') : [];
+  const right = rest ? rest.split(':') : [];
+  const fill = rest === undefined ? [] : Array(8 - left.length - right.length).fill('0');
+  return [...left, ...fill, ...right].map(g => parseInt(g, 16));
+}
+
+const groupsToIPv4 = (hi, lo) => [hi >> 8, hi & 0xff, lo >> 8, lo & 0xff].join('.');
+
+// IPv4 address carried inside a NAT64 (64:ff9b::/96) or 6to4 (2002::/16) address; gateways route these to it
+function embeddedIPv4(ip) {
+  const g = ipv6Groups(ip);
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) return groupsToIPv4(g[6], g[7]);
+  if (g[0] === 0x2002) return groupsToIPv4(g[1], g[2]);
+  return null;
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv4(ip)) return blocked.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return true;
+  if (blocked.check(ip, 'ipv6')) return true;
+  const v4 = embeddedIPv4(ip);
+  return v4 !== null && blocked.check(v4, 'ipv4');
+}
+
+/**
+ * Throws unless `url` may be fetched: http(s) only, host not denied, host allowed when
+ * URL_ALLOW_HOSTS is set, and (unless URL_ALLOW_PRIVATE=1) not resolving to an internal address.
+ * Returns the vetted addresses ({ address, family }), or null when private addresses are allowed.
+ */
+export async function assertFetchable(url) {
+  const u = new URL(url);
+  if (!['http:', 'https:'].includes(u.protocol)) throw new Error(`blocked URL scheme: ${u.protocol}`);
+  const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (hostList('URL_DENY_HOSTS').some(p => hostMatches(host, p))) throw new Error(`blocked host: ${host}`);
+  const allow = hostList('URL_ALLOW_HOSTS');
+  if (allow.length && !allow.some(p => hostMatches(host, p))) throw new Error(`host not in allow list: ${host}`);
+  if (process.env.URL_ALLOW_PRIVATE === '1') return null;
+
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  if (!addresses.length || addresses.some(a => isPrivateAddress(a.address))) {
+    throw new Error(`blocked internal address for host: ${host}`);
+  }
+  return addresses;
+}
+
+// An agent whose DNS lookups answer with the addresses assertFetchable vetted, so the host
+// can't be rebound to an internal address between the check and the connection
+function pinnedAgent(url, addresses) {
+  if (!addresses) return undefined;
+  const lookup = (hostname, options, callback) => {
+    const family = typeof options === 'object' ? options.family : options;
+    const matching = addresses.filter(a => !family || a.family === family);
+    const candidates = matching.length ? matching : addresses;
+    if (options?.all) return callback(null, candidates);
+    callback(null, candidates[0].address, candidates[0].family);
+  };
+  const Agent = new URL(url).protocol === 'https:' ? https.Agent : http.Agent;
+  return new Agent({ lookup });
+}
+
+/**
+ * Parse a .url file: one URL per line with optional `timeout=<ms>` / `max_bytes=<n>` after it.
+ * Blank lines and `#`/`;` comments are ignored, and Windows shortcut files (`URL=...`) work too.
+ */
+export function parseUrlFile(content) {
+  const entries = [];
+  for (const raw of String(content).split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';') || line.startsWith('[')) continue;
+    const [first, ...opts] = line.replace(/^URL=/i, '').split(/\s+/);
+    if (!/^https?:\/\//i.test(first)) continue;
+    const entry = { url: first, timeoutMs: DEFAULT_TIMEOUT_MS, maxBytes: DEFAULT_MAX_BYTES };
+    for (const opt of opts) {
+      const [k, v] = opt.split('=');
+      const n = Number(v);
+      if (!Number.isFinite(n) || n <= 0) continue;
+      if (k === 'timeout') entry.timeoutMs = n;
+      if (k === 'max_bytes') entry.maxBytes = n;
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+function cachePath(url) {
+  return path.join(cacheDir(), `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+}
+
+async function readCache(url) {
+  try {
+    return JSON.parse(await fs.readFile(cachePath(url), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(url, entry) {
+  try {
+    await fs.mkdir(cacheDir(), { recursive: true });
+    await fs.writeFile(cachePath(url), JSON.stringify(entry));
+  } catch (e) {
+    console.log('⚠️ Could not write URL cache:', e.message);
+  }
+}
+
+async function readLimited(res, maxBytes) {
+  const declared = Number(res.headers.get('content-length'));
+  if (declared > maxBytes) throw new Error(`response too large: ${declared} > ${maxBytes} bytes`);
+  const chunks = [];
+  let total = 0;
+  // Throwing out of the loop destroys the body stream
+  for await (const value of res.body) {
+    total += value.byteLength;
+    if (total > maxBytes) throw new Error(`response too large: more than ${maxBytes} bytes`);
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks);
+}
+
+// Follows redirects by hand so every hop goes through assertFetchable, and connects
+// only to the addresses it vetted
+async function guardedFetch(url, { headers, timeoutMs }) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const addresses = await assertFetchable(current);
+    const res = await fetch(current, { headers, signal, redirect: 'manual', agent: pinnedAgent(current, addresses) });
+    if (res.status >= 300 && res.status < 400 && res.status !== 304 && res.headers.get('location')) {
+      current = new URL(res.headers.get('location'), current).toString();
+      continue;
+    }
+    return res;
+  }
+  throw new Error(`too many redirects: ${url}`);
+}
+
+function toText(body, contentType) {
+  if (/html/i.test(contentType || '') || /^\s*<(!doctype html|html)/i.test(body)) return htmlToText(body);
+  return body;
+}
+
+/**
+ * Fetch one URL as text, revalidating against the cache with ETag / Last-Modified.
+ * If the remote fails and a previous copy exists, that copy is returned with `stale: true`.
+ */
+export async function fetchUrlText({ url, timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = DEFAULT_MAX_BYTES }) {
+  const cached = await readCache(url);
+  const headers = { accept: 'text/html,text/plain,text/markdown;q=0.9,*/*;q=0.5' };
+  if (cached?.etag) headers['if-none-match'] = cached.etag;
+  if (cached?.lastModified) headers['if-modified-since'] = cached.lastModified;
+
+  try {
+    const res = await guardedFetch(url, { headers, timeoutMs });
+    if (res.status === 304 && cached) {
+      return { url, text: cached.text, cached: true };
+    }
+    if (!res.ok) throw new Error(`fetch ${url}: ${res.status}`);
+
+    const contentType = res.headers.get('content-type') || '';
+    if (/^(image|audio|video)\/|octet-stream|zip|pdf/i.test(contentType)) {
+      throw new Error(`unsupported content-type for ${url}: ${contentType}`);
+    }
+    const text = toText((await readLimited(res, maxBytes)).toString('utf8'), contentType);
+    await writeCache(url, {
+      url,
+      etag: res.headers.get('etag') || null,
+      lastModified: res.headers.get('last-modified') || null,
+      contentType,
+      fetchedAt: new Date().toISOString(),
+      text
+    });
+    return { url, text, cached: false };
+  } catch (e) {
+    if (cached) {
+      console.log('⚠️ URL fetch failed, using last good copy:', url, e.message);
+      return { url, text: cached.text, cached: true, stale: true, error: e.message };
+    }
+    throw e;
+  }
+}
+
+/**
+ * Download a binary file (e.g. call audio for STT) under the same SSRF guard and size cap.
+ * Returns { buffer, contentType, fileName }.
+ */
+export async function fetchRemoteFile(url, { timeoutMs = DEFAULT_TIMEOUT_MS, maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const res = await guardedFetch(url, { headers: {}, timeoutMs });
+  if (!res.ok) throw new Error(`fetch ${url}: ${res.status}`);
+  const buffer = await readLimited(res, maxBytes);
+  const fileName = decodeURIComponent(new URL(url).pathname.split('/').pop() || '') || 'remote-audio';
+  return { buffer, contentType: res.headers.get('content-type') || 'application/octet-stream', fileName };
+}
+
+export async function loadUrlFile(filePath) {
+  const entries = parseUrlFile(await fs.readFile(filePath, 'utf8'));
+  if (!entries.length) throw new Error(`no URLs in ${path.basename(filePath)}`);
+  const parts = [];
+  const errors = [];
+  for (const entry of entries) {
+    try {
+      parts.push((await fetchUrlText(entry)).text);
+    } catch (e) {
+      console.error('⚠️ Skipping URL:', entry.url, e.message);
+      errors.push(`${entry.url}: ${e.message}`);
+    }
+  }
+  // One dead link shouldn't drop the rest of the document
+  if (!parts.length) throw new Error(errors.join('; '));
+  return parts.join('\n\n');
+}
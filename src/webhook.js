@@ -0,0 +1,101 @@
+// src/webhook.js
+import crypto from 'node:crypto';
+
+const DEFAULT_TOLERANCE_SEC = 300;
+
+// signature -> expiry (ms). Lives for the life of the process / warm lambda.
+const seenSignatures = new Map();
+
+function webhookSecrets() {
+  // Comma-separated so a secret can be rotated: new one first, old one kept until senders update
+  return (process.env.ELEVENLABS_WEBHOOK_SECRET || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function toleranceSec() {
+  const n = Number(process.env.ELEVENLABS_WEBHOOK_TOLERANCE_SEC);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TOLERANCE_SEC;
+}
+
+export function devBypassEnabled() {
+  return process.env.ELEVENLABS_WEBHOOK_DEV_BYPASS === '1';
+}
+
+// "t=1700000000,v0=abc...,v0=def..." -> { timestamp, signatures }
+export function parseSignatureHeader(header) {
+  const out = { timestamp: null, signatures: [] };
+  for (const part of String(header || '').split(',')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const k = part.slice(0, i).trim();
+    const v = part.slice(i + 1).trim();
+    if (k === 't') out.timestamp = Number(v);
+    else if (k === 'v0' && v) out.signatures.push(v);
+  }
+  return out;
+}
+
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const ab = Buffer.from(a, 'hex');
+  const bb = Buffer.from(b, 'hex');
+  if (ab.length === 0 || ab.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ab, bb);
+}
+
+function rememberSignature(sig, ttlMs) {
+  const now = Date.now();
+  for (const [k, exp] of seenSignatures) {
+    if (exp <= now) seenSignatures.delete(k);
+  }
+  if (seenSignatures.has(sig)) return false;
+  seenSignatures.set(sig, now + ttlMs);
+  return true;
+}
+
+/**
+ * Verify an `elevenlabs-signature` header (as produced by pushToElevenLabs) against the raw body.
+ * Returns { ok: true } or { ok: false, status, reason }.
+ */
+export function verifyWebhookSignature(header, rawBody, { now = Date.now() } = {}) {
+  const secrets = webhookSecrets();
+
+  if (!header) {
+    if (devBypassEnabled()) return { ok: true, bypassed: true };
+    return { ok: false, status: 401, reason: 'missing signature header' };
+  }
+  if (secrets.length === 0) {
+    if (devBypassEnabled()) return { ok: true, bypassed: true };
+    return { ok: false, status: 500, reason: 'ELEVENLABS_WEBHOOK_SECRET not configured' };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return { ok: false, status: 401, reason: 'malformed signature header' };
+  }
+
+  const tolerance = toleranceSec();
+  if (Math.abs(now / 1000 - timestamp) > tolerance) {
+    return { ok: false, status: 401, reason: 'timestamp outside tolerance window' };
+  }
+
+  let matched = null;
+  for (const secret of secrets) {
+    const expected = signPayload(secret, timestamp, rawBody);
+    const hit = signatures.find(sig => safeEqualHex(sig, expected));
+    if (hit) { matched = hit; break; }
+  }
+  if (!matched) return { ok: false, status: 401, reason: 'signature mismatch' };
+
+  // A signature is only valid once inside its window
+  if (!rememberSignature(matched, tolerance * 2 * 1000)) {
+    return { ok: false, status: 409, reason: 'replayed webhook' };
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,157 @@
+// src/ws-proxy.js
+// The ConvAI /ws proxy for the Node server, using `ws`. Session behaviour lives in
+// src/convai-proxy.js (shared with the Worker); this file only deals with Node sockets and upgrades.
+import { WebSocket, WebSocketServer } from 'ws';
+import { runProxySession, getSignedUrl, needsApiKeyHeader, upgradeFailure } from './convai-proxy.js';
+import { elevenLabsEndpoint } from './elevenlabs-endpoint.js';
+
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 429: 'Too Many Requests', 500: 'Internal Server Error', 503: 'Service Unavailable' };
+
+// `ws` sockets as the adapters src/convai-proxy.js expects. Messages that arrive before a
+// handler is registered are queued, so nothing is lost while the session is still starting.
+export function wrapSocket(ws) {
+  const queued = [];
+  let onMessage = null;
+  // An 'error' without a listener would crash the process before the session attaches its own
+  ws.on('error', () => {});
+  ws.on('message', (data, isBinary) => {
+    const msg = isBinary ? data : data.toString('utf8');
+    if (onMessage) onMessage(msg);
+    else queued.push(msg);
+  });
+  return {
+    isOpen: () => ws.readyState === WebSocket.OPEN,
+    send: (data) => ws.send(data),
+    close: (code, reason) => ws.close(code, reason),
+    onMessage: (fn) => {
+      onMessage = fn;
+      while (queued.length) fn(queued.shift());
+    },
+    onClose: (fn) => ws.on('close', (code, reason) => fn({ code, reason: reason?.toString('utf8') || '' })),
+    onError: (fn) => ws.on('error', fn)
+  };
+}
+
+/** Open an upstream ConvAI socket; resolves with the connect() result shape from convai-proxy.js. */
+export function openUpstream(signedUrl, { apiKey, timeoutMs = 10000 } = {}) {
+  console.log('🔗 Connecting to ElevenLabs:', signedUrl.split('?')[0]);
+  return new Promise((resolve) => {
+    const headers = needsApiKeyHeader(signedUrl) ? { 'xi-api-key': apiKey } : {};
+    const ws = new WebSocket(signedUrl, { headers, handshakeTimeout: timeoutMs });
+    let settled = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      resolve(result);
+    };
+    // Wrap before 'open' so early upstream messages are queued, not dropped
+    const upstream = wrapSocket(ws);
+
+    ws.once('open', () => settle({ ok: true, upstream }));
+    ws.once('unexpected-response', (_req, res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { if (body.length < 2000) body += chunk; });
+      res.on('end', () => settle(upgradeFailure(res.statusCode, body)));
+      res.on('error', () => settle(upgradeFailure(res.statusCode, body)));
+    });
+    ws.on('error', (err) => {
+      if (settled) return;
+      console.error('❌ WebSocket connection failed:', err.message);
+      settle({
+        ok: false,
+        status: 502,
+        errorMessage: `Connection failed: ${err.message}`,
+        closeCode: 1011,
+        closeReason: 'Connection failed'
+      });
+    });
+  });
+}
+
+function rejectUpgrade(socket, status, message) {
+  const body = String(message || '');
+  socket.write(
+    `HTTP/1.1 ${status} ${STATUS_TEXT[status] || 'Error'}\r\n` +
+    'Content-Type: text/plain; charset=utf-8\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    (status === 429 ? 'Retry-After: 30\r\n' : '') +
+    'Connection: close\r\n\r\n' +
+    body
+  );
+  socket.destroy();
+}
+
+/**
+ * Serve the ConvAI proxy on `path` of an http.Server.
+ *   authorize(req, url)      -> { ok, status, reason } or { ok: true, project, agentId, model, release? }
+ *   clientData(project)      -> conversation_initiation_client_data (or a promise of it)
+ *   signedUrl({ agentId })   -> upstream URL; defaults to ElevenLabs get_signed_url (swap for a mock)
+ *   store, maxSessionSec, maxReconnects, apiKey, endpoint (elevenLabsEndpoint(); defaults to process.env)
+ * Returns the WebSocketServer.
+ */
+export function attachConvaiProxy(server, {
+  path = '/ws',
+  authorize,
+  clientData,
+  signedUrl,
+  store,
+  apiKey,
+  endpoint = elevenLabsEndpoint(process.env),
+  maxSessionSec = 0,
+  maxReconnects = 5
+}) {
+  const wss = new WebSocketServer({ noServer: true });
+  const resolveUrl = signedUrl || (({ agentId }) => getSignedUrl({ apiKey, endpoint, agentId }));
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== path) return;
+
+    let auth;
+    try {
+      auth = await authorize(req, url);
+    } catch (e) {
+      console.error('❌ /ws authorization error:', e.message);
+      return rejectUpgrade(socket, 500, 'Internal error');
+    }
+    if (!auth.ok) {
+      console.log('🚫 /ws rejected:', auth.reason);
+      return rejectUpgrade(socket, auth.status, auth.reason);
+    }
+
+    const { project, agentId, model, release = () => {} } = auth;
+    console.log('🚀 Starting WebSocket proxy with keepalive:', {
+      agentId: agentId.substring(0, 12) + '...',
+      project,
+      model,
+      timestamp: new Date().toISOString()
+    });
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      runProxySession({
+        client: wrapSocket(ws),
+        connect: async () => openUpstream(await resolveUrl({ agentId, project }), { apiKey }),
+        clientData: Promise.resolve()
+          .then(() => clientData(project))
+          .catch((e) => {
+            console.error('❌ Error building project client data:', e.message);
+            return { type: 'conversation_initiation_client_data', dynamic_variables: { project } };
+          }),
+        project,
+        agentId,
+        model,
+        store,
+        maxSessionSec,
+        maxReconnects,
+        onEnd: release
+      }).catch((e) => {
+        console.error('❌ /ws session error:', e.message);
+        release();
+        try { ws.close(1011, 'Proxy error'); } catch {}
+      });
+    });
+  });
+
+  return wss;
+}